@@ -4,6 +4,7 @@
  */
 
 // ==================== Constants ====================
+const LOCAL_FLAG_PATH = 'assets/flags';
 const FLAG_CDNS = [
   'https://flagcdn.com/w320',
   'https://flagcdn.com/256x192',
@@ -13,20 +14,207 @@ const STORAGE_KEYS = {
   cards: 'flagmaster_cards',
   stats: 'flagmaster_stats',
   settings: 'flagmaster_settings',
+  reviews: 'flagmaster_reviews',
+  meta: 'flagmaster_meta',
+  decks: 'flagmaster_decks',
+  confusions: 'flagmaster_confusions',
+  leaderboard: 'flagmaster_leaderboard',
+  packs: 'flagmaster_packs',
+  profiles: 'flagmaster_profiles',
+};
+// Saved once per profile, see getStorageKey; imported packs and the profile list are shared
+const PROFILE_STORAGE_KEYS = ['meta', 'cards', 'stats', 'settings', 'reviews', 'decks', 'confusions', 'leaderboard'];
+const DEFAULT_PROFILE_ID = 'default'; // keeps the keys saved before profiles existed
+const PROFILE_AVATARS = ['🦊', '🐼', '🦁', '🐸', '🐙', '🦉', '🐢', '🦄', '🐝', '🐬', '🦖', '🐧'];
+const PROFILE_NAME_MAX_LENGTH = 20;
+const MAX_PROFILES = 8;
+const SCHEMA_VERSION = 2;
+const IDB_NAME = 'flagmaster';
+const IDB_STORE = 'kv';
+const SAVE_DEBOUNCE_MS = 1000;
+const FLAG_PRELOAD_AHEAD = 3;
+const FLAG_LOAD_ATTEMPTS = 2;
+const SOUND_PATH = 'assets/sounds';
+const SIMILARITY_URL = 'data/similarity.json'; // generated by tools/build-similarity.js
+const MAP_URL = 'assets/map/world.svg'; // generated by tools/build-map.js
+const PACK_INDEX_URL = 'data/packs/index.json'; // bundled content packs, see loadBundledPacks
+const PACK_FORMAT = 1;
+const CORE_PACK_ID = 'world'; // always on; its card keys are the bare codes saved before packs existed
+const PACK_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/; // pack ids end up in card keys, so no ':' or '/'
+const PACK_CODE_PATTERN = /^[A-Za-z0-9_-]+$/;
+const DEFAULT_GROUP_ICON = '🏳️';
+const MAP_DEGREE_PX = 4; // projection of the map file; must match tools/build-map.js
+const MAP_LAT_TOP = 84;
+const MAP_ZOOM_PADDING = 1.8; // view spans this many times the country's box
+const MAP_MIN_VIEW_WIDTH = 160; // px (40°), so small countries show their neighbours
+const MAP_VIEW_ASPECT = 1.6;
+const MAP_MARKER_MAX_SIZE = 12; // px; countries smaller than this also get a ring marker
+const NEARBY_DISTRACTOR_POOL = 8; // map and capital distractors come from this many nearest countries
+const VISUAL_SCORE_SCALE = 10; // 0-1 visual similarity -> getSimilarityScore units (5+ is "similar")
+const DISTRACTOR_WEIGHT_POWER = 4; // how sharply distractor picks favour higher similarity scores
+const TIMER_WARNING_SECONDS = 5;
+const TIMER_TICK_MS = 250;
+const TIMED_DURATIONS = [30, 60, 120, 300]; // seconds
+const RACE_TARGETS = [10, 25, 50];
+const CUSTOM_DURATION_RANGE = [10, 3600];
+const CUSTOM_TARGET_RANGE = [1, 500];
+const RACE_MISS_PENALTY_MS = 5000;
+const TIMED_VARIANT_HINTS = {
+  clock: 'Answer as many flags as you can before the clock runs out.',
+  sudden: 'The clock still runs, but your first miss ends the run.',
+  race: 'Reach the target as fast as you can. Each miss adds 5 seconds.',
+};
+const LEADERBOARD_SIZE = 10;
+const LEADERBOARD_SHOWN = 5;
+const MATCH_LENGTHS = [10, 20, 30]; // flags per multiplayer match
+const MATCH_PLAYERS = [2, 4]; // pass-and-play player count, min and max
+const PLAYER_NAME_MAX_LENGTH = 20;
+const TURN_REVEAL_MS = 2500; // pass-and-play shows every player's pick this long
+const RELAY_PORT = 8787; // default of tools/relay.js
+const ROOM_CODE_LENGTH = 4;
+const ROOM_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I to misread
+const MATCH_HINTS = {
+  party: 'Take turns on one device. Everyone answers the same flag in private, then the picks are revealed.',
+  versus: 'Two devices answer the same flags, each at their own pace. Both need the relay from tools/relay.js.',
+};
+// Synthesized fallback for each cue: [frequency Hz, start s, duration s, waveform]
+const SOUND_CUES = {
+  correct: [[659, 0, 0.09, 'sine'], [880, 0.08, 0.14, 'sine']],
+  wrong: [[220, 0, 0.12, 'triangle'], [165, 0.11, 0.22, 'triangle']],
+  streak: [[523, 0, 0.08, 'square'], [659, 0.07, 0.08, 'square'], [784, 0.14, 0.08, 'square'], [1047, 0.21, 0.2, 'square']],
+  levelup: [[392, 0, 0.1, 'triangle'], [523, 0.1, 0.1, 'triangle'], [659, 0.2, 0.1, 'triangle'], [784, 0.3, 0.1, 'triangle'], [1047, 0.4, 0.45, 'sine']],
+  tick: [[1200, 0, 0.04, 'square']],
+  timeup: [[440, 0, 0.18, 'sawtooth'], [330, 0.2, 0.18, 'sawtooth'], [220, 0.4, 0.4, 'sawtooth']],
 };
 const XP_BASE = 10;
 const XP_STREAK_BONUS = 5;
 const XP_PENALTY = -5;
+const TIER_XP_MULTIPLIERS = { 1: 1, 2: 1.5, 3: 2 };
+const TIER_LABELS = { 1: 'Well-known', 2: 'Familiar', 3: 'Obscure' };
+const DEFAULT_TIER = 2; // for entries without a difficultyTier
+const TIER_ORDER_JITTER = 2.5; // "mixed" order lets a new card jump up to this many tiers ahead
 const NEW_CARDS_PER_SESSION = 15;
 const CONTINENT_NEW_CARDS_PER_SESSION = 8;
+const DECK_NEW_CARDS_MAX = 50;
+const DECK_NAME_MAX_LENGTH = 40;
+const CONFUSION_STABLE_STREAK = 4; // correct answers in a row before a confused pair is stable
+const CONFUSION_DRILL_PAIRS = 5;
+const CONFUSION_DRILL_MAX_ROUNDS = 40;
+const CONFUSION_PICK_CHANCE = 0.4; // chance per weighted miss that a confused flag becomes a distractor
+const CONFUSION_PICK_CHANCE_MAX = 0.85;
+const CONFUSION_LIST_LIMIT = 8;
 const SESSION_RETRY_GAPS = [2, 5, 9];
 const LEVEL_XP = [0, 100, 250, 500, 850, 1300, 1850, 2500, 3250, 4100, 5050];
 const STREAK_MILESTONES = [5, 10, 20, 50, 100, 150];
-
-// ==================== State ====================
-let countries = [];
-let cards = {}; // code -> SRS card data
-let stats = {
+const DIRECTIONS = ['flag', 'reverse', 'capital', 'capital-country', 'map', 'flag-continent'];
+/**
+ * What each direction (one SRS card per country each) shows and asks for. Answers
+ * are picked from options, or typed where the answer is a name or capital.
+ * Confusable directions record which flag was taken for which; `needs` is the
+ * entry field a direction can't be asked without (pack entries may lack it).
+ */
+const QUESTION_TYPES = {
+  flag: { label: 'Flag → Name', prompt: 'flag', answer: 'name', confusable: true },
+  reverse: { label: 'Name → Flag', prompt: 'name', answer: 'flag', confusable: true },
+  capital: { label: 'Flag → Capital', prompt: 'flag', answer: 'capital', question: 'What is the capital?', needs: 'capital' },
+  'capital-country': { label: 'Capital → Country', prompt: 'capital', answer: 'name', question: 'Capital of which country?', needs: 'capital' },
+  map: { label: 'Map → Country', prompt: 'map', answer: 'name', question: 'Which country is highlighted?', needs: 'latlng' },
+  'flag-continent': { label: 'Flag → Continent', prompt: 'flag', answer: 'continent', question: 'Which continent?', needs: 'continent' },
+};
+const GEOGRAPHY_MODES = ['capital', 'capital-country', 'map', 'flag-continent']; // mode id = direction
+/**
+ * What each mode's answers do to cards. Modes record their answers in the review
+ * log (and so in per-mode accuracy); on top of that:
+ *   schedule  graded through the scheduler and learning steps
+ *   light     light evidence only, see applyLightReview; intervals never reset
+ *   practice  no effect on cards
+ *   none      not recorded at all: pass-and-play answers are other people's
+ */
+const MODE_REVIEW_POLICY = {
+  normal: 'schedule',
+  hard: 'schedule',
+  reverse: 'schedule',
+  continent: 'schedule',
+  capital: 'schedule',
+  'capital-country': 'schedule',
+  map: 'schedule',
+  'flag-continent': 'schedule',
+  endless: 'light',
+  timed: 'light',
+  confusion: 'practice',
+  versus: 'practice',
+  party: 'none',
+};
+const MODE_LABELS = {
+  normal: 'Study',
+  hard: 'Hard Mode',
+  reverse: 'Name → Flag',
+  continent: 'Group',
+  capital: 'Flag → Capital',
+  'capital-country': 'Capital → Country',
+  map: 'Map → Country',
+  'flag-continent': 'Flag → Continent',
+  endless: 'Endless',
+  timed: 'Timed',
+  confusion: 'Confusion Drill',
+  versus: 'Head-to-Head',
+  party: 'Pass & Play',
+};
+const LIGHT_REVIEW_CREDIT = 0.5; // share of its interval a correct practice answer postpones a due card
+const PRACTICE_MODES = ['endless', 'timed']; // scored runs with a leaderboard, no repeats within a pass
+const QUALITY = { again: 2, hard: 3, good: 4, easy: 5 };
+const WRONG_QUALITY = 1;
+const RETRY_MAX_QUALITY = QUALITY.good; // a quick answer mid-steps doesn't earn "easy"
+const FAST_ANSWER_MS = 3000;
+const SLOW_ANSWER_MS = 8000;
+const HARD_MODE_EXTRA_MS = 4000;
+const DAY_MS = 86400000;
+const MINUTE_MS = 60000;
+const LEARN_AHEAD_MS = 20 * MINUTE_MS; // with nothing else left, steps due this soon are shown early
+const MAX_GRADUATING_INTERVAL = 365;
+const MAX_DAILY_LIMIT = 9999;
+// Anki's fuzz: each part of an interval falling in [start, end) days widens the spread by `factor`
+const FUZZ_RANGES = [
+  { start: 2.5, end: 7, factor: 0.15 },
+  { start: 7, end: 20, factor: 0.1 },
+  { start: 20, end: Infinity, factor: 0.05 },
+];
+const RETENTION_MIN = 0.7;
+const RETENTION_MAX = 0.97;
+// FSRS-4.5 default parameters (w0-w16)
+const FSRS_DEFAULT_WEIGHTS = [
+  0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474, 0.1367, 1.0461, 2.1072, 0.0793,
+  0.3246, 1.587, 0.2272, 2.8755,
+];
+// [min, max] the optimizer keeps each weight within
+const FSRS_WEIGHT_BOUNDS = [
+  [0.1, 100], [0.1, 100], [0.1, 100], [0.1, 100], [1, 10], [0.1, 5], [0.1, 5], [0, 0.75], [0, 4],
+  [0, 0.8], [0.01, 3], [0.1, 5], [0.01, 0.2], [0.01, 0.9], [0.01, 2], [0, 1], [1, 6],
+];
+const FSRS_DECAY = -0.5;
+const FSRS_FACTOR = 19 / 81; // makes retrievability 90% when elapsed days equal stability
+const FSRS_MAX_INTERVAL = 36500;
+const FSRS_OPTIMIZER_MIN_SAMPLES = 100; // predicted recalls needed before fitting weights
+const FSRS_OPTIMIZER_ITERATIONS = 120;
+const FSRS_OPTIMIZER_STEP = 0.02; // Adam learning rate, relative to each weight's default
+const EXACT_ANSWER_MAX_LENGTH = 4; // names this short must be typed exactly
+const LONG_ANSWER_LENGTH = 9; // names this long forgive two typos
+const MIN_SUGGEST_LENGTH = 3;
+const MAX_SUGGESTIONS = 3;
+const AUTOCOMPLETE_MIN_LENGTH = 2;
+const AUTOCOMPLETE_LIMIT = 6;
+const ASSIST_XP_COST = 3; // XP lost per hint or autocomplete pick
+const REVIEW_LOG_LIMIT = 20000;
+const CHART_DAYS = 30;
+const FORECAST_DAYS = 30;
+const CALENDAR_WEEKS = 15;
+const BACKUP_APP_ID = 'flagmaster';
+const BACKUP_VERSION = 1;
+const ANKI_DECK_NAME = 'Flag Master';
+const ANKI_MODEL_ID = 1735689600000;
+const ANKI_DECK_ID = 1735689600001;
+const ANKI_MEDIA_BATCH = 8;
+const DEFAULT_STATS = {
   totalScore: 0,
   currentStreak: 0,
   longestStreak: 0,
@@ -35,9 +223,67 @@ let stats = {
   xp: 0,
   level: 1,
 };
-let settings = { soundEnabled: true };
+const DEFAULT_SETTINGS = {
+  soundEnabled: true,
+  volume: 0.7,
+  selfRating: false,
+  autocomplete: true,
+  tierOrder: 'strict', // new-card order: 'strict' | 'mixed' | 'random'
+  scheduler: 'sm2', // key of SCHEDULERS
+  desiredRetention: 0.9, // FSRS target recall probability at review time
+  fsrsWeights: null, // fitted by optimizeFsrsWeights; null uses FSRS_DEFAULT_WEIGHTS
+  learningSteps: [1, 10], // minutes between in-session repeats of a new card
+  relearningSteps: [10], // the same for a lapsed card
+  graduatingInterval: 1, // days, once a new card passes its last step
+  easyInterval: 4, // days, when a new card is answered "easy"
+  lapseMultiplier: 0, // SM-2: lapsed interval = old interval x this (at least 1 day)
+  newPerDay: 20, // new cards introduced per day across sessions and directions
+  reviewsPerDay: 200, // review cards answered per day; learning steps don't count
+  loadBalance: true, // fuzz toward days with fewer reviews already due
+  typedAnswers: false, // geography questions answered by name or capital are typed, as in Hard Mode
+  enabledPacks: [], // content packs switched on besides CORE_PACK_ID
+  playerNames: [], // last pass-and-play line-up
+  playerName: '', // this device's name in head-to-head; empty uses the profile's name
+  relayUrl: '', // head-to-head relay address; empty uses getDefaultRelayUrl
+};
+const RETENTION_BUCKETS = [
+  { label: '1 day', min: 1, max: 1 },
+  { label: '2–6 days', min: 2, max: 6 },
+  { label: '1–3 weeks', min: 7, max: 20 },
+  { label: '3+ weeks', min: 21, max: Infinity },
+];
+
+// ==================== State ====================
+let countries = []; // entries of the enabled content packs, see refreshPacks
+let bundledPacks = []; // normalized packs listed in PACK_INDEX_URL
+let customPacks = []; // imported pack files as read, persisted and backed up
+let packs = []; // every known pack, normalized; see normalizePack
+let cards = {}; // card key (see getCardKey) -> SRS card data
+let reviews = []; // chronological answer log
+let decks = []; // user-defined study sets, see getDeckCountries
+let confusions = {}; // pair key (see getPairKey) -> confusion record, see recordConfusion
+let leaderboard = {}; // board key (see getBoardKey) -> best runs, best first
+let flagSimilarity = null; // code -> Map(code -> 0..1) of look-alike flags, see loadFlagSimilarity
+let worldMapRequest = null; // promise of the inlined map SVG, see loadWorldMap
+let editingDeckId = null; // deck open in the editor; null while creating one
+let rng = Math.random; // shuffles and distractor picks draw from this; seeded by withSeed
+let match = null; // multiplayer match being set up or played, see startMatch
+let profiles = []; // learner profiles on this device, see loadProfileList
+let activeProfileId = DEFAULT_PROFILE_ID; // whose cards, stats, settings and history are loaded
+let editingProfileId = null; // profile open in the editor; null while creating one
+let stats = { ...DEFAULT_STATS };
+let settings = structuredClone(DEFAULT_SETTINGS);
 let currentMode = 'normal';
 let activeImageRequestId = 0;
+const flagImageCache = new Map(); // code -> { status, src, promise }
+const acceptedNamesCache = new WeakMap(); // country -> normalized name + aliases
+let loadFailures = []; // storage keys whose saved JSON could not be parsed
+let pendingImport = null;
+let storage = null; // active storage backend, chosen in loadData
+let saveTimer = null;
+let audioCtx = null; // created on the first user gesture (autoplay policy)
+let masterGain = null;
+const soundBuffers = {}; // cue -> decoded AudioBuffer from assets/sounds, or null
 let gameState = {
   queue: [],
   retryQueue: [],
@@ -48,25 +294,89 @@ let gameState = {
   questionCount: 0,
   timer: null,
   timerSeconds: 0,
+  timedVariant: 'clock', // 'clock' | 'sudden' | 'race'
+  raceTarget: RACE_TARGETS[0],
+  clockStartedAt: 0,
+  penaltyMs: 0, // First to N: time added for misses
+  correctCount: 0,
+  missCount: 0,
+  bestStreak: 0,
+  finished: false,
   answered: false,
+  flagReady: false,
+  flagFailures: {},
+  isRetry: false,
+  roundStartedAt: 0,
+  suggestedFor: null, // typed answer the "did you mean" prompt was shown for
+  assists: [], // hints and autocomplete used this round ('continent', 'letter', 'length', 'emblem', 'autocomplete')
+  selectedDeck: null, // deck id the session draws from; null means every country
+  selectedGroup: null, // group (continent for countries) Group Mode draws from
 };
 
 // ==================== SM-2 Algorithm ====================
 
 /**
- * Initialize or get card data for a country
+ * Cards are stored per country and direction. Flag -> name keeps the bare
+ * country code so data saved before reverse cards existed stays valid.
+ * Codes from packs other than the core one carry their pack id ("us-states/CA").
  */
-function getCard(code) {
-  if (!cards[code]) {
-    cards[code] = {
-      easeFactor: 2.5,
-      interval: 0,
-      repetitions: 0,
-      nextReviewDate: null,
-      lapses: 0,
-    };
-  }
-  return cards[code];
+function getCardKey(code, direction = 'flag') {
+  return direction === 'flag' ? code : `${code}:${direction}`;
+}
+
+function parseCardKey(key) {
+  const [code, direction = 'flag'] = key.split(':');
+  return { code, direction };
+}
+
+function getModeDirection(mode = currentMode) {
+  return mode === 'reverse' || GEOGRAPHY_MODES.includes(mode) ? mode : 'flag';
+}
+
+function getQuestionType(mode = currentMode) {
+  return QUESTION_TYPES[getModeDirection(mode)];
+}
+
+/** The text a country's answer is shown and typed as in this direction */
+function getAnswerText(country, direction = getModeDirection()) {
+  const { answer } = QUESTION_TYPES[direction];
+  if (answer === 'capital') return country.capital;
+  if (answer === 'continent') return country.continent;
+  return country.name;
+}
+
+/** Typed rounds: Hard Mode, and name or capital answers with "Type answers" on */
+function isTypedRound(mode = currentMode) {
+  if (mode === 'hard') return true;
+  return settings.typedAnswers && GEOGRAPHY_MODES.includes(mode) && getQuestionType(mode).answer !== 'continent';
+}
+
+/** Whether an entry has what a direction asks about, e.g. a capital for capital questions */
+function canAsk(country, direction = getModeDirection()) {
+  const { needs } = QUESTION_TYPES[direction];
+  return !needs || country[needs] !== undefined;
+}
+
+const BLANK_CARD = Object.freeze({
+  easeFactor: 2.5,
+  interval: 0,
+  repetitions: 0,
+  nextReviewDate: null,
+  lastReviewDate: null,
+  lapses: 0,
+});
+
+/**
+ * Initialize or get card data by card key
+ */
+function getCard(key) {
+  if (!cards[key]) cards[key] = { ...BLANK_CARD };
+  return cards[key];
+}
+
+/** Card data for reading only: a card never answered is a blank one, not added to `cards` */
+function peekCard(key) {
+  return cards[key] || BLANK_CARD;
 }
 
 /**
@@ -89,30 +399,72 @@ function processCorrect(code, quality = 4) {
   if (card.repetitions === 0) {
     newInterval = 1;
   } else if (card.repetitions === 1) {
-    newInterval = 6;
+    // Graduating and lapse intervals can already exceed the classic 6 days
+    newInterval = Math.max(6, Math.round(card.interval * card.easeFactor));
   } else {
     newInterval = Math.round(card.interval * card.easeFactor);
   }
 
-  card.interval = newInterval;
   card.repetitions += 1;
-  card.nextReviewDate = addDays(new Date(), newInterval);
+  setReviewInterval(card, newInterval);
+  card.lastReviewDate = Date.now();
   return card;
 }
 
 /**
  * SM-2: Process incorrect answer
+ * quality: 0-2 (1=wrong answer, 2=correct but self-rated "Again")
  */
-function processIncorrect(code) {
+function processIncorrect(code, quality = WRONG_QUALITY) {
   const card = getCard(code);
+  const penalty = 0.2 - (quality - WRONG_QUALITY) * 0.05;
   card.repetitions = 0;
-  card.interval = 1;
   card.lapses += 1;
-  card.easeFactor = Math.max(1.3, card.easeFactor - 0.2);
-  card.nextReviewDate = addDays(new Date(), 1);
+  card.easeFactor = Math.round(Math.max(1.3, card.easeFactor - penalty) * 100) / 100;
+  setReviewInterval(card, Math.max(1, Math.round(card.interval * settings.lapseMultiplier)));
+  card.lastReviewDate = Date.now();
   return card;
 }
 
+/**
+ * SM-2 scheduler: route a graded answer to the matching update (quality < 3 is a lapse)
+ */
+function reviewSm2(key, quality) {
+  return quality >= QUALITY.hard ? processCorrect(key, quality) : processIncorrect(key, quality);
+}
+
+/** SM-2 ignores FSRS memory state; drop it so switching back re-derives it from the current card */
+function adoptSm2(card) {
+  delete card.stability;
+  delete card.difficulty;
+}
+
+/** New cards leave their steps at the graduating (or easy) interval; relearning keeps the lapse interval */
+function graduateSm2(card, quality, relearning) {
+  if (relearning) return;
+  card.interval = quality >= QUALITY.easy ? settings.easyInterval : settings.graduatingInterval;
+}
+
+/**
+ * Derive SM-2 quality for a correct answer from response time and answer path.
+ * A self-rating overrides the time signal; answers while a card is in its learning
+ * or relearning steps (`isRetry`) are capped at "good" (RETRY_MAX_QUALITY).
+ * Each hint or autocomplete pick costs one grade, down to "hard".
+ */
+function getAnswerQuality(responseMs, isRetry, selfRating = null, assists = 0) {
+  let quality;
+  if (selfRating) {
+    quality = QUALITY[selfRating];
+  } else {
+    const extra = isTypedRound() ? HARD_MODE_EXTRA_MS : 0;
+    if (responseMs <= FAST_ANSWER_MS + extra) quality = QUALITY.easy;
+    else if (responseMs <= SLOW_ANSWER_MS + extra) quality = QUALITY.good;
+    else quality = QUALITY.hard;
+  }
+  if (assists > 0 && quality > QUALITY.hard) quality = Math.max(QUALITY.hard, quality - assists);
+  return isRetry ? Math.min(quality, RETRY_MAX_QUALITY) : quality;
+}
+
 function addDays(date, days) {
   const d = new Date(date);
   d.setDate(d.getDate() + days);
@@ -120,560 +472,4721 @@ function addDays(date, days) {
   return d.getTime();
 }
 
-function isDue(code) {
-  const card = getCard(code);
-  if (card.repetitions === 0) return false;
+function isDue(key) {
+  const card = peekCard(key);
+  const state = getCardState(card);
+  if (state === 'new') return false;
   if (!card.nextReviewDate) return true;
+  // Steps are due at an exact time, review cards for a whole day
+  if (state !== 'review') return card.nextReviewDate <= Date.now();
   const today = new Date();
   today.setHours(0, 0, 0, 0);
   return card.nextReviewDate <= today.getTime();
 }
 
-function getDueCount() {
-  return countries.filter((c) => isDue(c.code)).length;
+function getDueCount(direction = 'flag') {
+  return countries.filter((c) => canAsk(c, direction) && isDue(getCardKey(c.code, direction))).length;
 }
 
-// ==================== Smart Distractor Selection ====================
+// ==================== Daily Limits & Load Balancing ====================
 
 /**
- * Get similarity score between two countries (higher = more similar)
- * Heavily favors similar flags (Indonesia/Poland, Chad/Romania, etc.)
+ * Graded answers given today: new cards introduced and review cards answered.
+ * Learning steps count toward neither, matching Anki's limits.
  */
-function getSimilarityScore(a, b) {
-  let score = 0;
-  if (a.continent === b.continent) score += 2;
-  const aColors = new Set(a.colors.map((c) => c.toLowerCase()));
-  const bColors = new Set(b.colors.map((c) => c.toLowerCase()));
-  const sharedColors = [...aColors].filter((c) => bColors.has(c)).length;
-  score += sharedColors * 2;
-  // Same exact color set = very similar flags (Indonesia/Poland/Monaco, etc.)
-  if (aColors.size === bColors.size && sharedColors === aColors.size) score += 6;
-  if (a.layout === b.layout) score += 3;
-  return score;
+function getTodayCounts() {
+  const today = startOfDay(Date.now());
+  const counts = { newCards: 0, reviews: 0 };
+  for (let i = reviews.length - 1; i >= 0 && reviews[i].ts >= today; i--) {
+    const r = reviews[i];
+    if (r.quality === null || r.quality === undefined) continue;
+    if (r.state === 'new') counts.newCards++;
+    else if (r.state === 'review') counts.reviews++;
+  }
+  return counts;
 }
 
-/**
- * Select 3 difficult distractors - prioritizes similar flags (e.g. Indonesia + Poland)
- */
-function getDistractors(correctCountry, count = 3) {
-  const others = countries.filter((c) => c.code !== correctCountry.code);
-  const scored = others.map((c) => ({
-    country: c,
-    score: getSimilarityScore(correctCountry, c),
-  }));
-  scored.sort((a, b) => b.score - a.score);
-  // Strongly prefer top similar (e.g. Indonesia gets Poland, Monaco)
-  const topSimilar = scored.filter((s) => s.score >= 5);
-  const pool = topSimilar.length >= count ? topSimilar : scored.slice(0, 25);
-  shuffleArray(pool);
-  return pool.slice(0, count).map((s) => s.country);
-}
-
-/** Fuzzy match for Hard mode: allows "USA" for "United States", minor typos */
-function fuzzyMatch(input, correct) {
-  if (input === correct) return true;
-  const aliases = {
-    'usa': 'united states',
-    'us': 'united states',
-    'uk': 'united kingdom',
-    'uae': 'united arab emirates',
-    'drc': 'dr congo',
-    'car': 'central african republic',
+function getDailyLimitsLeft(done = getTodayCounts()) {
+  return {
+    newCards: Math.max(0, settings.newPerDay - done.newCards),
+    reviews: Math.max(0, settings.reviewsPerDay - done.reviews),
   };
-  if (aliases[input] === correct) return true;
-  if (correct.includes(input) && input.length >= 4) return true;
-  return false;
 }
 
-function shuffleArray(arr) {
-  for (let i = arr.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [arr[i], arr[j]] = [arr[j], arr[i]];
+/**
+ * Today's goal under the daily limits: answers given so far, plus due reviews and
+ * new cards the limits still allow. Other directions join once they are started.
+ */
+function getDailyGoal() {
+  const done = getTodayCounts();
+  const left = getDailyLimitsLeft(done);
+  let due = 0;
+  let unseen = 0;
+  for (const direction of DIRECTIONS) {
+    const states = countries
+      .filter((c) => canAsk(c, direction))
+      .map((c) => {
+        const key = getCardKey(c.code, direction);
+        return [key, getCardState(peekCard(key))];
+      });
+    if (direction !== 'flag' && states.every(([, state]) => state === 'new')) continue;
+    due += states.filter(([key, state]) => state === 'review' && isDue(key)).length;
+    unseen += states.filter(([, state]) => state === 'new').length;
   }
+  const reviewsLeft = Math.min(due, left.reviews);
+  const newLeft = Math.min(unseen, left.newCards);
+  const answered = done.newCards + done.reviews;
+  return {
+    answered,
+    total: answered + reviewsLeft + newLeft,
+    reviewsLeft,
+    newLeft,
+    deferred: due - reviewsLeft, // due reviews held over by the limit
+    met: reviewsLeft === 0 && newLeft === 0,
+  };
 }
 
-// ==================== Game Logic ====================
+/**
+ * Interval bounds after fuzz. Intervals under 2.5 days stay exact; longer ones
+ * spread so cards learned together drift apart instead of coming due as a block.
+ */
+function getFuzzRange(interval) {
+  if (interval < 2.5) return [interval, interval];
+  const delta = FUZZ_RANGES.reduce(
+    (sum, { start, end, factor }) => sum + factor * Math.max(0, Math.min(interval, end) - start),
+    1
+  );
+  return [Math.max(2, Math.round(interval - delta)), Math.round(interval + delta)];
+}
 
-function buildQueue() {
-  if (currentMode === 'endless' || currentMode === 'timed') {
-    return shuffleArray([...countries]);
+/** Review cards due per day (keyed by the day's start), leaving out `exclude` */
+function getDueLoad(exclude) {
+  const load = new Map();
+  for (const card of Object.values(cards)) {
+    if (card === exclude || !card.nextReviewDate || getCardState(card) !== 'review') continue;
+    const day = startOfDay(card.nextReviewDate);
+    load.set(day, (load.get(day) || 0) + 1);
   }
+  return load;
+}
 
-  const buildSrsQueue = (pool, newPerSession) => {
-    const due = pool.filter((c) => isDue(c.code));
-    const newCards = pool.filter((c) => getCard(c.code).repetitions === 0);
-    shuffleArray(due);
-    shuffleArray(newCards);
-    const queue = [];
-    const used = new Set();
-    for (const c of due) {
-      if (!used.has(c.code)) {
-        queue.push(c);
-        used.add(c.code);
-      }
-    }
-    for (let i = 0; i < newPerSession && i < newCards.length; i++) {
-      const card = newCards[i];
-      if (!used.has(card.code)) {
-        queue.push(card);
-        used.add(card.code);
-      }
-    }
-    return queue;
-  };
+/**
+ * Pick a day within the fuzz range: uniformly, or with load balancing on, weighted
+ * like Anki's balancer toward days with fewer reviews due and then toward sooner days.
+ */
+function fuzzInterval(interval, card) {
+  const [min, max] = getFuzzRange(interval);
+  if (min >= max) return interval;
+  if (!settings.loadBalance) return min + Math.floor(Math.random() * (max - min + 1));
 
-  if (currentMode === 'continent') {
-    const continent = gameState.selectedContinent;
-    const filtered = countries.filter((c) => c.continent === continent);
-    return buildSrsQueue(filtered, CONTINENT_NEW_CARDS_PER_SESSION);
+  const load = getDueLoad(card);
+  const weights = [];
+  for (let days = min; days <= max; days++) {
+    const due = load.get(addDays(new Date(), days)) || 0;
+    weights.push(1 / ((due + 1) ** 2 * days));
   }
-  // Normal & Hard: SRS - due cards first, then limited new cards.
-  return buildSrsQueue(countries, NEW_CARDS_PER_SESSION);
+  let r = Math.random() * weights.reduce((sum, w) => sum + w, 0);
+  const index = weights.findIndex((w) => (r -= w) < 0);
+  return min + (index === -1 ? weights.length - 1 : index);
 }
 
-function scheduleSessionRetry(country) {
-  const existing = gameState.retryQueue.find((r) => r.code === country.code);
-  if (existing) {
-    existing.step = 0;
-    existing.nextAt = gameState.questionCount + 1;
-    return;
-  }
-  gameState.retryQueue.push({
-    code: country.code,
-    country,
-    step: 0,
-    nextAt: gameState.questionCount + SESSION_RETRY_GAPS[0],
-  });
+function setReviewInterval(card, interval) {
+  card.interval = fuzzInterval(interval, card);
+  card.nextReviewDate = addDays(new Date(), card.interval);
 }
 
-function popDueRetryCountry() {
-  if (!gameState.retryQueue.length) return null;
-  gameState.retryQueue.sort((a, b) => a.nextAt - b.nextAt);
-  const idx = gameState.retryQueue.findIndex((r) => r.nextAt <= gameState.questionCount);
-  if (idx === -1) return null;
+// ==================== Schedulers ====================
 
-  const item = gameState.retryQueue[idx];
-  const selected = item.country;
-  if (item.step >= SESSION_RETRY_GAPS.length - 1) {
-    gameState.retryQueue.splice(idx, 1);
-  } else {
-    item.step += 1;
-    item.nextAt = gameState.questionCount + SESSION_RETRY_GAPS[item.step];
-  }
-  return selected;
+/**
+ * Every scheduler implements the same interface over the shared card fields
+ * (interval, repetitions, lapses, easeFactor, nextReviewDate, lastReviewDate):
+ *   review(key, quality)      update a graduated card after an answer graded 1-5
+ *   learn(card, quality)      note an answer given during learning or relearning steps
+ *   graduate(card, quality, relearning)  set card.interval as the card leaves its steps
+ *   adopt(card)               convert a card last scheduled by the other scheduler
+ */
+const SCHEDULERS = {
+  sm2: { label: 'SM-2', review: reviewSm2, learn: () => {}, graduate: graduateSm2, adopt: adoptSm2 },
+  fsrs: { label: 'FSRS', review: reviewFsrs, learn: learnFsrs, graduate: graduateFsrs, adopt: adoptFsrs },
+};
+
+function getScheduler() {
+  return SCHEDULERS[settings.scheduler] || SCHEDULERS.sm2;
 }
 
-function getNextCountry() {
-  const retryCountry = popDueRetryCountry();
-  if (retryCountry) return retryCountry;
+function getReviewPolicy(mode = currentMode) {
+  return MODE_REVIEW_POLICY[mode] || 'practice';
+}
 
-  if (gameState.queue.length === 0) {
-    if (currentMode === 'endless' || currentMode === 'timed') {
-      gameState.queue = buildQueue();
-    } else if (gameState.retryQueue.length > 0) {
-      gameState.retryQueue.sort((a, b) => a.nextAt - b.nextAt);
-      gameState.retryQueue[0].nextAt = gameState.questionCount;
-      return popDueRetryCountry();
-    }
+function isScheduledMode(mode = currentMode) {
+  return getReviewPolicy(mode) === 'schedule';
+}
+
+/**
+ * Practice answers are light evidence: a correct answer on a due review card puts it
+ * off by part of its interval, and a miss brings it forward to tomorrow. Interval,
+ * ease and memory state stay as they are, so practice never resets a card.
+ */
+function applyLightReview(key, isCorrect) {
+  const card = peekCard(key);
+  if (getCardState(card) !== 'review') return;
+  const tomorrow = addDays(new Date(), 1);
+  if (isCorrect && isDue(key)) {
+    card.nextReviewDate = addDays(new Date(), Math.max(1, Math.round(card.interval * LIGHT_REVIEW_CREDIT)));
+  } else if (!isCorrect && card.nextReviewDate > tomorrow) {
+    card.nextReviewDate = tomorrow;
   }
-  if (gameState.queue.length === 0) return null;
-  return gameState.queue.shift();
 }
 
-function buildOptions(correct) {
-  const distractors = getDistractors(correct);
-  const opts = [correct, ...distractors];
-  shuffleArray(opts);
-  return opts;
+/** Switch schedulers, converting every card's state; returns how many cards were converted */
+function switchScheduler(id) {
+  if (!SCHEDULERS[id] || id === settings.scheduler) return 0;
+  settings.scheduler = id;
+  const seen = Object.values(cards).filter((card) => getLastReviewTime(card) > 0);
+  seen.forEach((card) => SCHEDULERS[id].adopt(card));
+  saveData();
+  return seen.length;
 }
 
-// ==================== XP & Level ====================
+// ==================== Learning Steps ====================
 
-function addXP(amount, isStreakBonus = false) {
-  stats.xp += amount;
-  if (amount > 0) {
-    stats.totalScore += amount;
-    if (stats.xp < 0) stats.xp = 0;
-  }
-  const prevLevel = stats.level;
-  stats.level = 1;
-  for (let i = LEVEL_XP.length - 1; i >= 0; i--) {
-    if (stats.xp >= LEVEL_XP[i]) {
-      stats.level = i + 1;
-      break;
-    }
-  }
-  return { gained: amount, leveledUp: stats.level > prevLevel };
+/**
+ * New and lapsed cards repeat at minute-based steps before the scheduler spaces
+ * them out in days. While stepping, card.state is 'learning' or 'relearning',
+ * card.step indexes the step being waited on and nextReviewDate is an exact time.
+ * Both fields are dropped on graduation, so review cards look as they always did.
+ */
+function getCardState(card) {
+  if (card.state) return card.state;
+  return getLastReviewTime(card) > 0 ? 'review' : 'new';
 }
 
-// ==================== Persistence ====================
+function isInSteps(card) {
+  return card.state === 'learning' || card.state === 'relearning';
+}
 
-function loadData() {
-  try {
-    const c = localStorage.getItem(STORAGE_KEYS.cards);
-    if (c) cards = JSON.parse(c);
-    const s = localStorage.getItem(STORAGE_KEYS.stats);
-    if (s) stats = { ...stats, ...JSON.parse(s) };
-    const set = localStorage.getItem(STORAGE_KEYS.settings);
-    if (set) settings = { ...settings, ...JSON.parse(set) };
-  } catch (e) {
-    console.warn('Load failed', e);
+function gradeCard(key, quality) {
+  const card = getCard(key);
+  const state = getCardState(card);
+  if (state === 'review') {
+    getScheduler().review(key, quality);
+    if (quality < QUALITY.hard && settings.relearningSteps.length) {
+      card.state = 'relearning';
+      setStep(card, 0, settings.relearningSteps[0]);
+    }
+    return card;
+  }
+  if (state === 'new') {
+    card.state = 'learning';
+    card.step = 0;
   }
+  return gradeStep(card, quality);
 }
 
-function saveData() {
-  try {
-    localStorage.setItem(STORAGE_KEYS.cards, JSON.stringify(cards));
-    localStorage.setItem(STORAGE_KEYS.stats, JSON.stringify(stats));
-    localStorage.setItem(STORAGE_KEYS.settings, JSON.stringify(settings));
-  } catch (e) {
-    console.warn('Save failed', e);
+function gradeStep(card, quality) {
+  const steps = card.state === 'relearning' ? settings.relearningSteps : settings.learningSteps;
+  getScheduler().learn(card, quality);
+  card.lastReviewDate = Date.now();
+  if (quality < QUALITY.hard) {
+    if (steps.length) {
+      setStep(card, 0, steps[0]);
+    } else {
+      // Without steps a miss simply comes back tomorrow
+      card.step = 0;
+      card.nextReviewDate = addDays(new Date(), 1);
+    }
+  } else if (quality === QUALITY.hard && steps.length) {
+    setStep(card, card.step, getHardStepDelay(steps, card.step));
+  } else if (quality === QUALITY.good && card.step + 1 < steps.length) {
+    setStep(card, card.step + 1, steps[card.step + 1]);
+  } else {
+    graduateCard(card, quality);
   }
+  return card;
 }
 
-// ==================== DOM & UI ====================
+function setStep(card, step, minutes) {
+  card.step = step;
+  card.nextReviewDate = Date.now() + minutes * MINUTE_MS;
+}
 
-function $(sel) {
-  return document.querySelector(sel);
+// As in Anki: "hard" on the first step waits halfway to the second (1.5x a lone step), later steps repeat
+function getHardStepDelay(steps, step) {
+  if (step > 0) return steps[Math.min(step, steps.length - 1)];
+  return steps.length > 1 ? (steps[0] + steps[1]) / 2 : steps[0] * 1.5;
 }
 
-function showScreen(id) {
-  document.querySelectorAll('.screen').forEach((s) => s.classList.remove('active'));
-  const el = $(`#${id}`);
-  if (el) el.classList.add('active');
+function graduateCard(card, quality) {
+  getScheduler().graduate(card, quality, card.state === 'relearning');
+  card.repetitions += 1;
+  setReviewInterval(card, card.interval);
+  delete card.state;
+  delete card.step;
+}
+
+/** Session-pool countries whose current-direction card is in steps, soonest step first */
+function getSteppingCountries(direction = getModeDirection()) {
+  return getSessionPool()
+    .map((country) => ({ country, card: peekCard(getCardKey(country.code, direction)) }))
+    .filter(({ card }) => isInSteps(card))
+    .sort((a, b) => a.card.nextReviewDate - b.card.nextReviewDate);
 }
 
 /**
- * In-place feedback: red border on wrong, green on correct. Show correct answer.
- * After ~1s, invoke callback to advance.
+ * Parse step text like "1m 10m 1h" (bare numbers are minutes) into minutes.
+ * Returns null when any part is not a positive duration.
  */
-function showAnswerFeedback(isCorrect, correctAnswer, selectedName, onComplete) {
-  const wrapper = $('#flag-wrapper');
-  const optsContainer = $('#options-container');
-  const btns = optsContainer?.querySelectorAll('.option-btn');
-
-  if (btns) {
-    btns.forEach((btn, i) => {
-      if (gameState.options[i]?.name === correctAnswer) {
-        btn.classList.add('correct');
-      } else if (btn.textContent === selectedName && !isCorrect) {
-        btn.classList.add('wrong');
-      }
-    });
+function parseSteps(text) {
+  const units = { m: 1, h: 60, d: 1440 };
+  const steps = [];
+  for (const part of text.trim().split(/[\s,]+/).filter(Boolean)) {
+    const match = part.match(/^(\d+(?:\.\d+)?)([mhd]?)$/i);
+    if (!match || Number(match[1]) <= 0) return null;
+    steps.push(Number(match[1]) * units[(match[2] || 'm').toLowerCase()]);
   }
-  wrapper.classList.add(isCorrect ? 'correct' : 'wrong');
+  return steps;
+}
 
-  setTimeout(() => {
-    wrapper.classList.remove('correct', 'wrong');
-    if (btns) btns.forEach((b) => { b.classList.remove('correct', 'wrong'); b.disabled = false; });
-    const inp = $('#answer-input');
-    if (inp) inp.disabled = false;
-    onComplete();
-  }, 1000);
+function formatSteps(steps) {
+  return steps
+    .map((minutes) => {
+      if (minutes >= 1440 && minutes % 1440 === 0) return `${minutes / 1440}d`;
+      if (minutes >= 60 && minutes % 60 === 0) return `${minutes / 60}h`;
+      return `${minutes}m`;
+    })
+    .join(' ');
 }
 
-function showCorrectCelebration(xpGained) {
-  const container = $('.flag-container');
-  if (!container) return;
+// ==================== FSRS ====================
 
-  const streakEl = $('#game-streak');
-  if (streakEl) {
-    streakEl.classList.remove('pop');
-    void streakEl.offsetWidth;
-    streakEl.classList.add('pop');
-  }
+// Ease and difficulty map linearly onto each other: ease 2.5 <-> D 5, ease 1.3 <-> D 10
+function difficultyFromEase(easeFactor) {
+  return clamp(5 + (2.5 - easeFactor) * (25 / 6), 1, 10);
+}
 
-  const toast = document.createElement('div');
-  toast.className = 'xp-toast';
-  toast.textContent = `+${xpGained} XP`;
-  container.appendChild(toast);
-  setTimeout(() => toast.remove(), 850);
+function easeFromDifficulty(difficulty) {
+  return Math.round((2.5 - (difficulty - 5) * (6 / 25)) * 100) / 100;
+}
 
-  const burst = document.createElement('div');
-  burst.className = 'confetti-burst';
-  for (let i = 0; i < 12; i++) {
-    const piece = document.createElement('span');
-    piece.className = 'confetti-piece';
-    piece.style.setProperty('--angle', `${(360 / 12) * i}deg`);
-    piece.style.setProperty('--distance', `${56 + Math.floor(Math.random() * 44)}px`);
-    piece.style.setProperty('--delay', `${Math.random() * 0.08}s`);
-    piece.style.setProperty('--hue', `${Math.floor(Math.random() * 90) + 90}`);
-    burst.appendChild(piece);
-  }
-  container.appendChild(burst);
-  setTimeout(() => burst.remove(), 900);
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
 }
 
-function advanceToNextQuestion() {
-  nextRound();
+function getFsrsWeights() {
+  return settings.fsrsWeights || FSRS_DEFAULT_WEIGHTS;
 }
 
-function updateMenuStats() {
-  $('#stat-level').textContent = stats.level;
-  $('#stat-xp').textContent = stats.xp;
-  $('#stat-streak').textContent = stats.currentStreak;
-  $('#stat-due').textContent = getDueCount();
+/** SM-2 quality -> FSRS grade (1 again, 2 hard, 3 good, 4 easy) */
+function toFsrsGrade(quality) {
+  return quality < QUALITY.hard ? 1 : quality - 1;
 }
 
-function updateGameStats() {
-  $('#game-score').textContent = `Score: ${gameState.score}`;
-  $('#game-streak').textContent = `Streak: ${gameState.streak}`;
+/** Probability of recall after `days` for a memory of the given stability */
+function fsrsRetrievability(days, stability) {
+  return (1 + (FSRS_FACTOR * days) / stability) ** FSRS_DECAY;
 }
 
-function renderRound() {
-  const country = gameState.currentCountry;
-  if (!country) {
-    showComplete();
-    return;
+/** Days until retrievability falls to the desired retention */
+function fsrsInterval(stability, retention = clamp(settings.desiredRetention, RETENTION_MIN, RETENTION_MAX)) {
+  const days = (stability / FSRS_FACTOR) * (retention ** (1 / FSRS_DECAY) - 1);
+  return clamp(Math.round(days), 1, FSRS_MAX_INTERVAL);
+}
+
+function fsrsInitialDifficulty(w, grade) {
+  return clamp(w[4] - (grade - 3) * w[5], 1, 10);
+}
+
+/**
+ * Next memory state { stability, difficulty } for a grade, given the previous state
+ * (null for a first review) and the days elapsed since it.
+ */
+function fsrsNextState(w, state, grade, days) {
+  if (!state) {
+    return { stability: w[grade - 1], difficulty: fsrsInitialDifficulty(w, grade) };
   }
+  const { stability: s, difficulty: d } = state;
+  const r = fsrsRetrievability(days, s);
+  let stability;
+  if (grade === 1) {
+    stability = w[11] * d ** -w[12] * ((s + 1) ** w[13] - 1) * Math.exp(w[14] * (1 - r));
+  } else {
+    const hardPenalty = grade === 2 ? w[15] : 1;
+    const easyBonus = grade === 4 ? w[16] : 1;
+    stability =
+      s * (Math.exp(w[8]) * (11 - d) * s ** -w[9] * (Math.exp(w[10] * (1 - r)) - 1) * hardPenalty * easyBonus + 1);
+  }
+  // Difficulty moves with the grade, then reverts toward the default for a "good" first answer
+  const moved = d - w[6] * (grade - 3);
+  const difficulty = clamp(w[7] * fsrsInitialDifficulty(w, 3) + (1 - w[7]) * moved, 1, 10);
+  return { stability: clamp(stability, 0.1, FSRS_MAX_INTERVAL), difficulty };
+}
 
-  const img = $('#flag-img');
-  const code = country.code.toLowerCase();
-  const requestId = ++activeImageRequestId;
-  img.alt = `${country.name} flag`;
-  img.removeAttribute('style');
-  img.onload = null;
-  img.onerror = null;
-  const state = { index: 0 };
-  img.onerror = function() {
-    if (requestId !== activeImageRequestId) return;
-    state.index++;
-    if (state.index < FLAG_CDNS.length) {
-      this.src = `${FLAG_CDNS[state.index]}/${code}.png`;
+/** Derive FSRS memory state from SM-2 fields: stability ~ interval (SM-2 aims near 90% recall) */
+function adoptFsrs(card) {
+  if (getLastReviewTime(card) === 0) return;
+  card.stability = Math.max(card.interval, 0.5);
+  card.difficulty = Math.round(difficultyFromEase(card.easeFactor) * 1000) / 1000;
+}
+
+function updateFsrsMemory(card, grade) {
+  const lastReview = getLastReviewTime(card);
+  // Cards scheduled by SM-2 (or imported) pick up a memory state on their first FSRS review
+  if (card.stability === undefined) adoptFsrs(card);
+  const prev = card.stability === undefined ? null : { stability: card.stability, difficulty: card.difficulty };
+  const days = lastReview ? Math.max(0, (Date.now() - lastReview) / DAY_MS) : 0;
+  const next = fsrsNextState(getFsrsWeights(), prev, grade, days);
+
+  card.stability = Math.round(next.stability * 1000) / 1000;
+  card.difficulty = Math.round(next.difficulty * 1000) / 1000;
+  card.easeFactor = easeFromDifficulty(card.difficulty);
+}
+
+// Steps only feed the memory model; the interval comes from stability once the card graduates
+function learnFsrs(card, quality) {
+  updateFsrsMemory(card, toFsrsGrade(quality));
+}
+
+function graduateFsrs(card) {
+  card.interval = fsrsInterval(card.stability);
+}
+
+function reviewFsrs(key, quality) {
+  const card = getCard(key);
+  const grade = toFsrsGrade(quality);
+  updateFsrsMemory(card, grade);
+  if (grade === 1) {
+    card.repetitions = 0;
+    card.lapses += 1;
+  } else {
+    card.repetitions += 1;
+  }
+  setReviewInterval(card, fsrsInterval(card.stability));
+  card.lastReviewDate = Date.now();
+  return card;
+}
+
+/**
+ * Per-card review histories from the log for fitting: graded, non-retry answers,
+ * first answer per card per day, each with whole days since the previous one.
+ */
+function buildFsrsHistories(log) {
+  const byCard = new Map();
+  for (const r of log) {
+    if (r.quality === null || r.quality === undefined || r.retry) continue;
+    const key = getCardKey(r.code, r.direction || 'flag');
+    const history = byCard.get(key) || [];
+    const day = startOfDay(r.ts);
+    const prev = history[history.length - 1];
+    if (prev && prev.day === day) continue;
+    history.push({ day, grade: toFsrsGrade(r.quality), days: prev ? Math.round((day - prev.day) / DAY_MS) : 0 });
+    byCard.set(key, history);
+  }
+  return [...byCard.values()].filter((h) => h.length > 1);
+}
+
+/** Mean log loss of predicted recall against what actually happened */
+function fsrsLogLoss(w, histories) {
+  let loss = 0;
+  let samples = 0;
+  for (const history of histories) {
+    let state = null;
+    for (const { grade, days } of history) {
+      if (state) {
+        const r = clamp(fsrsRetrievability(days, state.stability), 1e-4, 1 - 1e-4);
+        loss -= grade > 1 ? Math.log(r) : Math.log(1 - r);
+        samples++;
+      }
+      state = fsrsNextState(w, state, grade, days);
+    }
+  }
+  return { loss: samples ? loss / samples : 0, samples };
+}
+
+// Weights span four orders of magnitude; steps and probes are taken relative to each default
+function weightScale(i) {
+  return Math.max(0.1, FSRS_DEFAULT_WEIGHTS[i]);
+}
+
+/**
+ * Fit FSRS weights to this learner's review log with Adam on finite-difference
+ * gradients. Resolves to { weights, before, after, samples }, or null when the log
+ * has too few repeat reviews to say anything.
+ */
+async function optimizeFsrsWeights(onProgress = () => {}) {
+  const histories = buildFsrsHistories(reviews);
+  const start = getFsrsWeights();
+  const initial = fsrsLogLoss(start, histories);
+  if (initial.samples < FSRS_OPTIMIZER_MIN_SAMPLES) return null;
+
+  const w = [...start];
+  const m = new Array(w.length).fill(0);
+  const v = new Array(w.length).fill(0);
+  const [beta1, beta2] = [0.9, 0.999];
+  for (let iter = 1; iter <= FSRS_OPTIMIZER_ITERATIONS; iter++) {
+    const base = fsrsLogLoss(w, histories).loss;
+    const grads = w.map((value, i) => {
+      const h = weightScale(i) * 1e-3;
+      const probe = [...w];
+      probe[i] = value + h;
+      return ((fsrsLogLoss(probe, histories).loss - base) / h) * weightScale(i);
+    });
+    grads.forEach((grad, i) => {
+      m[i] = beta1 * m[i] + (1 - beta1) * grad;
+      v[i] = beta2 * v[i] + (1 - beta2) * grad * grad;
+      const step = m[i] / (1 - beta1 ** iter) / (Math.sqrt(v[i] / (1 - beta2 ** iter)) + 1e-8);
+      w[i] = clamp(w[i] - FSRS_OPTIMIZER_STEP * weightScale(i) * step, ...FSRS_WEIGHT_BOUNDS[i]);
+    });
+    onProgress(iter / FSRS_OPTIMIZER_ITERATIONS);
+    // Yield so the page stays responsive on long logs
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+
+  const after = fsrsLogLoss(w, histories).loss;
+  const fitted = after < initial.loss ? w.map((x) => Math.round(x * 10000) / 10000) : start;
+  return { weights: fitted, before: initial.loss, after: Math.min(after, initial.loss), samples: initial.samples };
+}
+
+// ==================== Smart Distractor Selection ====================
+
+/**
+ * Load the image-based similarity matrix. Without it (or for countries it doesn't
+ * cover) getSimilarityScore falls back to the colors/layout heuristic.
+ */
+async function loadFlagSimilarity() {
+  try {
+    const res = await fetch(SIMILARITY_URL);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const data = await res.json();
+    flagSimilarity = new Map(Object.entries(data.neighbors).map(([code, list]) => [code, new Map(list)]));
+  } catch (e) {
+    console.warn('Visual similarity unavailable, using heuristic', e);
+  }
+}
+
+/**
+ * Get similarity score between two countries (higher = more similar)
+ * Heavily favors similar flags (Indonesia/Poland, Chad/Romania, etc.)
+ */
+function getSimilarityScore(a, b) {
+  // Measured from the flag images; only each flag's closest look-alikes are listed
+  const visual = flagSimilarity?.get(a.code);
+  if (visual) return (visual.get(b.code) || 0) * VISUAL_SCORE_SCALE;
+
+  let score = 0;
+  if (a.group === b.group) score += 2;
+  const aColors = new Set(a.colors.map((c) => c.toLowerCase()));
+  const bColors = new Set(b.colors.map((c) => c.toLowerCase()));
+  const sharedColors = [...aColors].filter((c) => bColors.has(c)).length;
+  score += sharedColors * 2;
+  // Same exact color set = very similar flags (Indonesia/Poland/Monaco, etc.)
+  if (aColors.size === bColors.size && sharedColors === aColors.size) score += 6;
+  if (a.layout === b.layout) score += 3;
+  return score;
+}
+
+/**
+ * Select 3 difficult distractors - prioritizes similar flags (e.g. Indonesia + Poland)
+ * and, more and more often, the ones you have actually confused with this flag
+ */
+function getDistractors(correctCountry, count = 3, candidates = countries) {
+  const others = candidates.filter((c) => c.code !== correctCountry.code);
+  // Flags this one has actually been mistaken for get a chance to be picked outright.
+  // Seeded picks must come out the same on every device, so they leave this out.
+  const seeded = rng !== Math.random;
+  const confused = others.filter((c) => {
+    if (seeded) return false;
+    const chance = getConfusionWeight(correctCountry.code, c.code) * CONFUSION_PICK_CHANCE;
+    return rng() < Math.min(chance, CONFUSION_PICK_CHANCE_MAX);
+  });
+  shuffleArray(confused);
+  if (confused.length >= count) return confused.slice(0, count);
+
+  const scored = others
+    .filter((c) => !confused.includes(c))
+    .map((c) => ({
+      country: c,
+      score: getSimilarityScore(correctCountry, c),
+    }));
+  scored.sort((a, b) => b.score - a.score);
+  // Strongly prefer top similar (e.g. Indonesia gets Poland, Monaco)
+  const topSimilar = scored.filter((s) => s.score >= 5);
+  const pool = topSimilar.length >= count ? topSimilar : scored.slice(0, 25);
+  return [...confused, ...pickWeighted(pool, count - confused.length).map((s) => s.country)];
+}
+
+/** Great-circle distance between two countries' centres (latlng in countries.json), in km */
+function getDistanceKm(a, b) {
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const [lat1, lng1] = a.latlng.map(rad);
+  const [lat2, lng2] = b.latlng.map(rad);
+  const h = Math.sin((lat2 - lat1) / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin((lng2 - lng1) / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Map and capital questions draw distractors from the nearest countries, so the
+ * region alone never gives the answer away
+ */
+function getNearbyDistractors(correctCountry, count = 3, candidates = countries) {
+  const nearest = candidates
+    .filter((c) => c.code !== correctCountry.code && c.latlng)
+    .sort((a, b) => getDistanceKm(correctCountry, a) - getDistanceKm(correctCountry, b))
+    .slice(0, NEARBY_DISTRACTOR_POOL);
+  return shuffleArray(nearest).slice(0, count);
+}
+
+/** One country from each of `count` other continents; Flag → Continent shows only their continent */
+function getContinentDistractors(correctCountry, count = 3) {
+  const byContinent = new Map();
+  for (const c of shuffleArray(countries.filter((entry) => entry.continent))) {
+    if (c.continent !== correctCountry.continent && !byContinent.has(c.continent)) byContinent.set(c.continent, c);
+  }
+  return shuffleArray([...byContinent.values()]).slice(0, count);
+}
+
+/** Draw `count` entries without replacement, closer look-alikes far more often */
+function pickWeighted(scored, count) {
+  const pool = [...scored];
+  const picked = [];
+  while (picked.length < count && pool.length) {
+    const total = pool.reduce((sum, s) => sum + s.score ** DISTRACTOR_WEIGHT_POWER, 0);
+    let index;
+    if (total > 0) {
+      let r = rng() * total;
+      index = pool.findIndex((s) => (r -= s.score ** DISTRACTOR_WEIGHT_POWER) < 0);
+      if (index === -1) index = pool.length - 1; // rounding left r a hair above 0
     } else {
-      this.src = 'data:image/svg+xml,' + encodeURIComponent(`<svg xmlns="http://www.w3.org/2000/svg" width="320" height="192"><rect fill="#21262d" width="320" height="192"/><text x="50%" y="50%" fill="#8b949e" font-size="14" text-anchor="middle" dy=".3em">${country.name}</text></svg>`);
+      // No look-alikes among the rest: any of them is as good as another
+      index = Math.floor(rng() * pool.length);
     }
+    picked.push(...pool.splice(index, 1));
+  }
+  return picked;
+}
+
+/** Shuffle in place; returns the array for chaining */
+function shuffleArray(arr) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+/** mulberry32: the same 32-bit seed gives the same sequence in every browser */
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = Math.imul(state ^ (state >>> 15), state | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
   };
-  img.onload = function() {
-    if (requestId !== activeImageRequestId) return;
-    state.index = 0;
+}
+
+/** Run `fn` with shuffles and distractor picks drawn from `seed` instead of Math.random */
+function withSeed(seed, fn) {
+  rng = createSeededRandom(seed);
+  try {
+    return fn();
+  } finally {
+    rng = Math.random;
+  }
+}
+
+// ==================== Answer Matching ====================
+
+/** Lowercase and strip diacritics/punctuation so "São Tomé" equals "sao tome" */
+function normalizeAnswer(s) {
+  return s
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/ı/g, 'i')
+    .replace(/&/g, ' and ')
+    .replace(/['’ʻʼʾʿ`]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/\bst\b/g, 'saint')
+    .trim()
+    .replace(/^the /, '');
+}
+
+/**
+ * Every spelling accepted for a country's answer: its name plus `aliases`, or its
+ * capital plus `capitalAliases` from countries.json
+ */
+function getAcceptedNames(country, answer = 'name') {
+  let cached = acceptedNamesCache.get(country);
+  if (!cached) {
+    cached = {};
+    acceptedNamesCache.set(country, cached);
+  }
+  if (!cached[answer]) {
+    let spellings = [country.name, ...(country.aliases || [])];
+    if (answer === 'capital') spellings = [country.capital, ...(country.capitalAliases || [])];
+    if (answer === 'continent') spellings = [country.continent];
+    // Pack entries may have no capital or continent, which nothing then matches
+    cached[answer] = [...new Set(spellings.filter(Boolean).map(normalizeAnswer))];
+  }
+  return cached[answer];
+}
+
+/** Levenshtein distance that also counts a swapped letter pair ("itlay") as one edit */
+function editDistance(a, b) {
+  if (a === b) return 0;
+  const d = [];
+  for (let i = 0; i <= a.length; i++) d.push([i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/**
+ * Whether each word of a typed answer is a typo of the same word of `name`, so the
+ * allowance never bridges a whole different word ("north korea" for "south korea").
+ * Inputs that split or join words differently are left to the whole-name allowance.
+ */
+function matchesWordByWord(typed, name) {
+  const typedWords = typed.split(' ');
+  const nameWords = name.split(' ');
+  if (typedWords.length !== nameWords.length) return true;
+  return nameWords.every((word, i) => editDistance(typedWords[i], word) <= Math.max(1, getTypoAllowance(word)));
+}
+
+/** Whether `typed` is `name` missing its first or last word, as "korea" is of "south korea" */
+function isPartOfName(typed, name) {
+  return name.startsWith(`${typed} `) || name.endsWith(` ${typed}`);
+}
+
+/** Typos forgiven against an accepted name: none for short names like "Iran"/"Iraq" */
+function getTypoAllowance(name) {
+  if (name.length <= EXACT_ANSWER_MAX_LENGTH) return 0;
+  return name.length >= LONG_ANSWER_LENGTH ? 2 : 1;
+}
+
+/**
+ * Grade a typed answer. Returns { verdict: 'correct' | 'wrong' | 'unsure', suggestions }.
+ * An exact name or alias of any country is final, so "Guinea" never passes for
+ * "Equatorial Guinea". Otherwise the input counts as the one country within its
+ * typo allowance, and no word may be swapped for another (see matchesWordByWord);
+ * ties, inputs one edit further out and names missing a word ("Korea") are 'unsure',
+ * with the closest countries offered as "did you mean" suggestions. `answer` is the
+ * kind asked for ('name' or 'capital'), as in QUESTION_TYPES.
+ */
+function matchAnswer(input, country, answer = 'name') {
+  const typed = normalizeAnswer(input);
+  const result = (verdict, suggestions = []) => ({ verdict, suggestions });
+  if (!typed) return result('wrong');
+  if (getAcceptedNames(country, answer).includes(typed)) return result('correct');
+  if (countries.some((c) => getAcceptedNames(c, answer).includes(typed))) return result('wrong');
+  if (typed.length < MIN_SUGGEST_LENGTH) return result('wrong');
+
+  // Edits beyond each country's allowance, using its closest accepted name
+  const candidates = [];
+  countries.forEach((c) => {
+    const excess = Math.min(
+      ...getAcceptedNames(c, answer).map((name) => {
+        const edits = matchesWordByWord(typed, name) ? editDistance(typed, name) - getTypoAllowance(name) : Infinity;
+        return isPartOfName(typed, name) ? Math.min(edits, 1) : edits;
+      })
+    );
+    if (excess <= 1) candidates.push({ country: c, excess });
+  });
+  candidates.sort((a, b) => a.excess - b.excess);
+
+  const within = candidates.filter((c) => c.excess <= 0);
+  if (within.length === 1) return result(within[0].country === country ? 'correct' : 'wrong');
+  const suggestions = (within.length ? within : candidates)
+    .slice(0, MAX_SUGGESTIONS)
+    .map((c) => c.country);
+  return suggestions.length ? result('unsure', suggestions) : result('wrong');
+}
+
+// ==================== Game Logic ====================
+
+function buildQueue() {
+  // A match plays its seeded questions in order
+  if (match) return match.questions.map((q) => q.country);
+  const deck = getDeck(gameState.selectedDeck);
+  const studyPool = getStudyPool();
+  if (PRACTICE_MODES.includes(currentMode)) {
+    // One pass over the pool, so nothing repeats until every flag has been shown;
+    // the next pass never opens with the flag that closed this one
+    const pass = shuffleArray([...studyPool]);
+    if (pass.length > 1 && pass[0] === gameState.currentCountry) pass.push(pass.shift());
+    return pass;
+  }
+  if (currentMode === 'confusion') return buildDrillQueue();
+
+  const direction = getModeDirection();
+  const graded = isScheduledMode();
+  const buildSrsQueue = (pool, newPerSession) => {
+    const cardOf = (c) => peekCard(getCardKey(c.code, direction));
+    // Graded modes leave learning steps to getNextStudyCountry and stay within today's limits
+    const limits = graded ? getDailyLimitsLeft() : { newCards: Infinity, reviews: Infinity };
+    const due = pool.filter((c) => isDue(getCardKey(c.code, direction)) && !(graded && isInSteps(cardOf(c))));
+    const newCards = pool.filter((c) => getCardState(cardOf(c)) === 'new');
+    shuffleArray(due);
+    shuffleArray(newCards);
+    // Most overdue first, so a capped session clears the backlog oldest-first
+    due.sort((a, b) => cardOf(a).nextReviewDate - cardOf(b).nextReviewDate);
+    const orderedNew = orderNewCards(newCards);
+    const queue = [];
+    const used = new Set();
+    for (const c of due.slice(0, limits.reviews)) {
+      if (!used.has(c.code)) {
+        queue.push(c);
+        used.add(c.code);
+      }
+    }
+    for (let i = 0; i < Math.min(newPerSession, limits.newCards) && i < orderedNew.length; i++) {
+      const card = orderedNew[i];
+      if (!used.has(card.code)) {
+        queue.push(card);
+        used.add(card.code);
+      }
+    }
+    return queue;
   };
-  img.src = `${FLAG_CDNS[0]}/${code}.png`;
 
-  const wrapper = $('#flag-wrapper');
-  wrapper.classList.remove('correct', 'wrong', 'flip-in');
-  void wrapper.offsetWidth;
-  wrapper.classList.add('flip-in');
+  if (currentMode === 'continent') {
+    return buildSrsQueue(getSessionPool(), deck ? deck.newPerSession : CONTINENT_NEW_CARDS_PER_SESSION);
+  }
+  // Normal, Hard & Reverse: SRS - due cards first, then limited new cards.
+  return buildSrsQueue(studyPool, deck ? deck.newPerSession : NEW_CARDS_PER_SESSION);
+}
 
-  const optsContainer = $('#options-container');
-  const hardContainer = $('#hard-mode-container');
-  const isHard = currentMode === 'hard';
+function getTier(country) {
+  return country.difficultyTier || DEFAULT_TIER;
+}
 
-  optsContainer.style.display = isHard ? 'none' : 'grid';
-  hardContainer.style.display = isHard ? 'flex' : 'none';
+/**
+ * Order shuffled new cards by difficulty tier so France comes before Kiribati.
+ * 'strict' keeps tiers in sequence, 'mixed' lets neighbouring tiers blend,
+ * 'random' leaves the shuffle alone.
+ */
+function orderNewCards(pool) {
+  if (settings.tierOrder === 'random') return pool;
+  const jitter = settings.tierOrder === 'mixed' ? TIER_ORDER_JITTER : 0;
+  return pool
+    .map((country) => ({ country, rank: getTier(country) + Math.random() * jitter }))
+    .sort((a, b) => a.rank - b.rank)
+    .map((r) => r.country);
+}
 
-  if (!isHard) {
-    const buttons = optsContainer.querySelectorAll('.option-btn');
-    gameState.options.forEach((opt, i) => {
-      const btn = buttons[i];
-      btn.textContent = opt.name;
-      btn.disabled = false;
-      btn.classList.remove('correct', 'wrong');
-    });
+function scheduleSessionRetry(country) {
+  const existing = gameState.retryQueue.find((r) => r.code === country.code);
+  if (existing) {
+    existing.step = 0;
+    existing.nextAt = gameState.questionCount + 1;
+    return;
+  }
+  gameState.retryQueue.push({
+    code: country.code,
+    country,
+    step: 0,
+    nextAt: gameState.questionCount + SESSION_RETRY_GAPS[0],
+  });
+}
+
+function popDueRetryCountry() {
+  if (!gameState.retryQueue.length) return null;
+  gameState.retryQueue.sort((a, b) => a.nextAt - b.nextAt);
+  const idx = gameState.retryQueue.findIndex((r) => r.nextAt <= gameState.questionCount);
+  if (idx === -1) return null;
+
+  const item = gameState.retryQueue[idx];
+  const selected = item.country;
+  if (item.step >= SESSION_RETRY_GAPS.length - 1) {
+    gameState.retryQueue.splice(idx, 1);
   } else {
-    const input = $('#answer-input');
-    input.value = '';
-    input.focus();
+    item.step += 1;
+    item.nextAt = gameState.questionCount + SESSION_RETRY_GAPS[item.step];
+  }
+  return selected;
+}
+
+/**
+ * Scheduling modes show a card as soon as its learning step comes due, then the
+ * session queue; when that runs out, steps due within LEARN_AHEAD_MS go early.
+ */
+function getNextStudyCountry() {
+  const stepping = getSteppingCountries();
+  const now = Date.now();
+  let next = stepping.find(({ card }) => card.nextReviewDate <= now);
+  if (!next && gameState.queue.length) {
+    gameState.isRetry = false;
+    return gameState.queue.shift();
+  }
+  if (!next && stepping.length && stepping[0].card.nextReviewDate <= now + LEARN_AHEAD_MS) next = stepping[0];
+  if (!next) return null;
+  gameState.queue = gameState.queue.filter((c) => c !== next.country);
+  gameState.isRetry = true;
+  return next.country;
+}
+
+function getNextCountry() {
+  if (isScheduledMode()) return getNextStudyCountry();
+  const retryCountry = popDueRetryCountry();
+  gameState.isRetry = !!retryCountry;
+  if (retryCountry) return retryCountry;
+
+  if (gameState.queue.length === 0) {
+    if (PRACTICE_MODES.includes(currentMode)) {
+      gameState.queue = buildQueue();
+    } else if (currentMode === 'confusion' && gameState.questionCount < CONFUSION_DRILL_MAX_ROUNDS) {
+      // Keep cycling until every drilled pair is stable
+      gameState.queue = buildQueue();
+    }
+    if (gameState.queue.length === 0 && gameState.retryQueue.length > 0) {
+      gameState.retryQueue.sort((a, b) => a.nextAt - b.nextAt);
+      gameState.retryQueue[0].nextAt = gameState.questionCount;
+      gameState.isRetry = true;
+      return popDueRetryCountry();
+    }
+  }
+  if (gameState.queue.length === 0) return null;
+  return gameState.queue.shift();
+}
+
+function buildOptions(correct) {
+  // A match's options were drawn from its seed, the same for every player
+  if (match) return match.questions.find((q) => q.country === correct).options;
+  // Decks drill their own countries against each other when there are enough of them
+  const studyPool = getStudyPool();
+  const pool = studyPool.length > 3 ? studyPool : countries.filter((c) => canAsk(c));
+  // Pack entries are asked against their own pack (states against states) when it has enough
+  const samePack = pool.filter((c) => c.pack === correct.pack);
+  const candidates = samePack.length > 3 ? samePack : pool;
+  const { prompt, answer } = getQuestionType();
+  // The drill always puts a flag next to the look-alike it gets confused with
+  const partner = currentMode === 'confusion' ? getDrillPartner(correct.code) : null;
+  let distractors;
+  if (partner) {
+    distractors = [partner, ...getDistractors(correct, 2, candidates.filter((c) => c !== partner))];
+  } else if (answer === 'continent') {
+    distractors = getContinentDistractors(correct);
+  } else if ((prompt === 'map' || prompt === 'capital') && correct.latlng) {
+    distractors = getNearbyDistractors(correct, 3, candidates);
+  } else {
+    distractors = getDistractors(correct, 3, candidates);
   }
+  const opts = [correct, ...distractors];
+  shuffleArray(opts);
+  return opts;
+}
+
+// ==================== Content Packs ====================
+
+/**
+ * A content pack is a manifest plus entries:
+ * { format, id, name, description, groups: { group: icon }, entries: [...] or a URL }
+ * Entries look like countries.json: name, code, group (defaults to the continent),
+ * colors, layout, and optionally image, difficultyTier, aliases, continent, capital,
+ * capitalAliases, latlng and emblem. Without an image the bundled flag or flagcdn is
+ * used by code. Which question types an entry appears in follows from the fields it has.
+ */
+function normalizePack(pack, custom = false) {
+  return {
+    id: pack.id,
+    name: pack.name,
+    description: pack.description || '',
+    groups: pack.groups || {},
+    custom,
+    entries: pack.entries.map((entry) => ({
+      ...entry,
+      code: pack.id === CORE_PACK_ID ? entry.code : `${pack.id}/${entry.code}`,
+      group: entry.group || entry.continent || pack.name,
+      colors: entry.colors || [],
+      pack: pack.id,
+    })),
+  };
+}
+
+async function fetchJSON(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return res.json();
+}
+
+/** Load every pack listed in PACK_INDEX_URL; one that fails is left out, not fatal */
+async function loadBundledPacks() {
+  const urls = await fetchJSON(PACK_INDEX_URL);
+  const loaded = await Promise.all(
+    urls.map(async (url) => {
+      try {
+        const manifest = await fetchJSON(url);
+        if (typeof manifest.entries === 'string') manifest.entries = await fetchJSON(manifest.entries);
+        return normalizePack(manifest);
+      } catch (e) {
+        console.warn('Content pack unavailable', url, e);
+        return null;
+      }
+    })
+  );
+  bundledPacks = loaded.filter(Boolean);
+}
+
+/** Rebuild `packs` and the playable `countries` after packs load, change or are switched */
+function refreshPacks() {
+  packs = [...bundledPacks, ...customPacks.map((pack) => normalizePack(pack, true))];
+  countries = packs.filter((pack) => isPackEnabled(pack.id)).flatMap((pack) => pack.entries);
+}
+
+function isPackEnabled(id) {
+  return id === CORE_PACK_ID || settings.enabledPacks.includes(id);
+}
+
+/** Codes of every known pack's entries, enabled or not, so their cards survive a backup */
+function getKnownCodes(extraPacks = []) {
+  return new Set([...packs, ...extraPacks].flatMap((pack) => pack.entries.map((c) => c.code)));
+}
+
+/** Groups of the enabled entries, in the order their manifests list them */
+function getGroups() {
+  const present = new Set(countries.map((c) => c.group));
+  const listed = packs.flatMap((pack) => Object.keys(pack.groups)).filter((group) => present.has(group));
+  return [...new Set([...listed, ...present])];
+}
+
+function getGroupIcon(group) {
+  return packs.map((pack) => pack.groups[group]).find(Boolean) || DEFAULT_GROUP_ICON;
+}
+
+function isValidPackEntry(entry) {
+  const optional = (key, test) => entry[key] === undefined || test(entry[key]);
+  const isTextList = (v) => Array.isArray(v) && v.every(isText);
+  return (
+    isPlainObject(entry) &&
+    isText(entry.name) &&
+    typeof entry.code === 'string' &&
+    PACK_CODE_PATTERN.test(entry.code) &&
+    ['group', 'image', 'layout', 'continent', 'capital', 'emblem'].every((key) => optional(key, isText)) &&
+    ['colors', 'aliases', 'capitalAliases'].every((key) => optional(key, isTextList)) &&
+    optional('difficultyTier', (v) => Number.isInteger(v) && v in TIER_LABELS) &&
+    optional('latlng', (v) => Array.isArray(v) && v.length === 2 && v.every(isNumber))
+  );
+}
+
+/** Check an imported pack file; returns a list of problems, empty when it can be added */
+function validatePack(data) {
+  if (!isPlainObject(data) || !Array.isArray(data.entries)) {
+    return ['Not a content pack: expected a manifest with an entries list.'];
+  }
+  const errors = [];
+  if (isNumber(data.format) && data.format > PACK_FORMAT) {
+    errors.push(`Pack format ${data.format} is newer than this app supports (${PACK_FORMAT}).`);
+  }
+  if (typeof data.id !== 'string' || !PACK_ID_PATTERN.test(data.id)) {
+    errors.push('The pack id must be lowercase letters, digits and dashes.');
+  }
+  if (!isText(data.name)) errors.push('Missing pack name.');
+  if (data.description !== undefined && !isText(data.description)) errors.push('Malformed description.');
+  const isValidGroups = (v) => isPlainObject(v) && Object.entries(v).every(([group, icon]) => isText(group) && isText(icon));
+  if (data.groups !== undefined && !isValidGroups(data.groups)) errors.push('Malformed groups.');
+  if (!data.entries.length) errors.push('The pack has no entries.');
+  const codes = new Set();
+  const invalid = [];
+  data.entries.forEach((entry, i) => {
+    if (!isValidPackEntry(entry) || codes.has(entry.code)) invalid.push(`#${i + 1}`);
+    else codes.add(entry.code);
+  });
+  if (invalid.length) {
+    errors.push(`Malformed or duplicate entries: ${invalid.slice(0, 10).join(', ')}${invalid.length > 10 ? '…' : ''}.`);
+  }
+  return errors;
+}
+
+// ==================== Decks ====================
+
+/**
+ * A deck is either a saved filter over pack entry metadata or a hand-picked list:
+ * { id, name, kind: 'filter' | 'list', filter: { continents, colors, layouts, tiers },
+ *   codes, newPerSession }. `continents` holds groups (continents for countries).
+ * Empty filter fields match everything; colors must all appear.
+ */
+function getDeckCountries(deck) {
+  if (deck.kind === 'list') {
+    const picked = new Set(deck.codes);
+    return countries.filter((c) => picked.has(c.code));
+  }
+  const { continents, colors, layouts, tiers } = deck.filter;
+  return countries.filter(
+    (c) =>
+      (!continents.length || continents.includes(c.group)) &&
+      colors.every((color) => c.colors.includes(color)) &&
+      (!layouts.length || layouts.includes(c.layout)) &&
+      (!tiers.length || tiers.includes(c.difficultyTier))
+  );
+}
+
+function getDeck(id) {
+  return decks.find((d) => d.id === id) || null;
+}
+
+/** Countries the current session draws from: the selected deck, or every enabled entry the mode can ask */
+function getStudyPool(direction = getModeDirection()) {
+  const deck = getDeck(gameState.selectedDeck);
+  return (deck ? getDeckCountries(deck) : countries).filter((c) => canAsk(c, direction));
+}
+
+/** The study pool, narrowed to the chosen group in Group Mode */
+function getSessionPool() {
+  const pool = getStudyPool();
+  return currentMode === 'continent' ? pool.filter((c) => c.group === gameState.selectedGroup) : pool;
+}
+
+function isValidDeck(deck) {
+  const isList = (v) => Array.isArray(v);
+  return (
+    isPlainObject(deck) &&
+    typeof deck.id === 'string' &&
+    typeof deck.name === 'string' &&
+    Number.isInteger(deck.newPerSession) &&
+    ((deck.kind === 'list' && isList(deck.codes)) ||
+      (deck.kind === 'filter' &&
+        isPlainObject(deck.filter) &&
+        ['continents', 'colors', 'layouts', 'tiers'].every((k) => isList(deck.filter[k]))))
+  );
+}
+
+/** Short description for deck lists, e.g. "Europe · red + white · 12 countries" */
+function describeDeck(deck) {
+  const count = getDeckCountries(deck).length;
+  const size = `${count} ${count === 1 ? 'country' : 'countries'}`;
+  if (deck.kind === 'list') return `Hand-picked · ${size}`;
+  const { continents, colors, layouts, tiers } = deck.filter;
+  const parts = [
+    continents.join('/'),
+    colors.join(' + '),
+    layouts.join('/'),
+    tiers.length ? `tier ${tiers.join('/')}` : '',
+  ].filter(Boolean);
+  return [...parts, size].join(' · ');
+}
+
+// ==================== Confusions ====================
+
+/** Unordered key for a pair of countries, e.g. "ID|MC" */
+function getPairKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+/**
+ * Record that `code` was answered as `chosenCode`. Each pair keeps how often each
+ * side was mistaken for the other ({ codes, misses: { code: n }, streak, lastTs });
+ * together they form the confusion matrix.
+ */
+function recordConfusion(code, chosenCode, ts = Date.now(), matrix = confusions) {
+  const key = getPairKey(code, chosenCode);
+  const pair = matrix[key] || (matrix[key] = { codes: key.split('|'), misses: {}, streak: 0, lastTs: 0 });
+  pair.misses[code] = (pair.misses[code] || 0) + 1;
+  pair.streak = 0;
+  pair.lastTs = Math.max(pair.lastTs, ts);
+}
+
+/**
+ * A correct answer counts toward stabilising the flag's pairs. With options on
+ * screen only pairs whose partner was one of them count; typed answers count for all.
+ */
+function recordPairSuccess(code, optionCodes = null) {
+  Object.values(confusions).forEach((pair) => {
+    if (!pair.codes.includes(code)) return;
+    const partner = pair.codes[0] === code ? pair.codes[1] : pair.codes[0];
+    if (!optionCodes || optionCodes.includes(partner)) pair.streak++;
+  });
+}
+
+function getPairMisses(pair) {
+  return Object.values(pair.misses).reduce((sum, n) => sum + n, 0);
+}
+
+function isPairStable(pair) {
+  return pair.streak >= CONFUSION_STABLE_STREAK;
+}
+
+/** How strongly two flags are confused; fades as the pair is answered correctly */
+function getConfusionWeight(a, b) {
+  const pair = confusions[getPairKey(a, b)];
+  return pair ? getPairMisses(pair) / (1 + pair.streak) : 0;
+}
+
+/** Unstable pairs within the study pool, most confused first */
+function getDrillPairs() {
+  const inPool = new Set(getStudyPool().map((c) => c.code));
+  return Object.values(confusions)
+    .filter((pair) => !isPairStable(pair) && pair.codes.every((code) => inPool.has(code)))
+    .sort((a, b) => getPairMisses(b) - getPairMisses(a) || b.lastTs - a.lastTs)
+    .slice(0, CONFUSION_DRILL_PAIRS);
+}
+
+function getDrillPartner(code) {
+  const pair = getDrillPairs().find((p) => p.codes.includes(code));
+  if (!pair) return null;
+  const partner = pair.codes[0] === code ? pair.codes[1] : pair.codes[0];
+  return countries.find((c) => c.code === partner) || null;
+}
+
+/** Both flags of each pair back to back, so look-alikes are seen side by side */
+function buildDrillQueue() {
+  const byCode = new Map(countries.map((c) => [c.code, c]));
+  const queue = [];
+  getDrillPairs().forEach((pair) => {
+    const codes = Math.random() < 0.5 ? pair.codes : [...pair.codes].reverse();
+    codes.forEach((code) => {
+      if (queue[queue.length - 1]?.code !== code) queue.push(byCode.get(code));
+    });
+  });
+  return queue;
+}
+
+/** Country a typed or picked answer names exactly, if any; `pack`'s entries win a tie (the two Georgias) */
+function findCountryByAnswer(text, answer = 'name', pack = CORE_PACK_ID) {
+  const typed = normalizeAnswer(text || '');
+  const matches = countries.filter((c) => getAcceptedNames(c, answer).includes(typed));
+  return matches.find((c) => c.pack === pack) || matches[0] || null;
+}
+
+// ==================== XP & Level ====================
+
+function addXP(amount, isStreakBonus = false) {
+  stats.xp += amount;
+  if (amount > 0) {
+    stats.totalScore += amount;
+    if (stats.xp < 0) stats.xp = 0;
+  }
+  const prevLevel = stats.level;
+  stats.level = 1;
+  for (let i = LEVEL_XP.length - 1; i >= 0; i--) {
+    if (stats.xp >= LEVEL_XP[i]) {
+      stats.level = i + 1;
+      break;
+    }
+  }
+  return { gained: amount, leveledUp: stats.level > prevLevel };
+}
+
+/** Correct-answer XP before streak bonus: rarer flags are worth more */
+function getTierXP(country) {
+  return Math.round(XP_BASE * (TIER_XP_MULTIPLIERS[getTier(country)] || 1));
+}
+
+// ==================== Review Log ====================
+
+/**
+ * Append one answer to the persisted review log (oldest entries drop past the limit)
+ */
+function logReview(entry) {
+  reviews.push(entry);
+  if (reviews.length > REVIEW_LOG_LIMIT) {
+    reviews.splice(0, reviews.length - REVIEW_LOG_LIMIT);
+  }
+}
+
+function startOfDay(ts) {
+  const d = new Date(ts);
+  d.setHours(0, 0, 0, 0);
+  return d.getTime();
+}
+
+/**
+ * Review counts keyed by local start-of-day timestamp
+ */
+function getReviewsByDay(log = reviews) {
+  const byDay = new Map();
+  for (const r of log) {
+    const day = startOfDay(r.ts);
+    byDay.set(day, (byDay.get(day) || 0) + 1);
+  }
+  return byDay;
+}
+
+/**
+ * Share of scheduled reviews recalled, grouped by the interval the card had going in.
+ * In-session retries are left out since they say nothing about long-term memory.
+ */
+function getRetentionByInterval() {
+  return RETENTION_BUCKETS.map((bucket) => {
+    const inBucket = reviews.filter(
+      (r) => r.quality !== null && !r.retry && r.ivlBefore >= bucket.min && r.ivlBefore <= bucket.max
+    );
+    const recalled = inBucket.filter((r) => r.quality >= QUALITY.hard).length;
+    return { label: bucket.label, total: inBucket.length, recalled };
+  });
+}
+
+/**
+ * Due cards per day for the next `days` days; overdue cards count toward today
+ */
+function getDueForecast(days = FORECAST_DAYS) {
+  const today = addDays(new Date(), 0);
+  const forecast = new Array(days).fill(0);
+  for (const c of countries) {
+    for (const direction of DIRECTIONS) {
+      const card = peekCard(getCardKey(c.code, direction));
+      if (getCardState(card) === 'new' || !card.nextReviewDate) continue;
+      const offset = Math.max(0, Math.round((startOfDay(card.nextReviewDate) - today) / DAY_MS));
+      if (offset < days) forecast[offset]++;
+    }
+  }
+  return forecast;
+}
+
+/**
+ * Consecutive days with at least one review, ending today (or yesterday)
+ */
+function getStudyDayStreak(byDay) {
+  let day = addDays(new Date(), 0);
+  if (!byDay.has(day)) day = addDays(day, -1);
+  let streak = 0;
+  while (byDay.has(day)) {
+    streak++;
+    day = addDays(day, -1);
+  }
+  return streak;
+}
+
+// ==================== Storage ====================
+
+/**
+ * Ordered schema migrations. Each one upgrades the loaded data from
+ * `version - 1` to `version`; data saved before versioning counts as version 0.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    // Cards gain lastReviewDate (used when merging backups)
+    migrate(data) {
+      for (const card of Object.values(data.cards || {})) {
+        if (card.lastReviewDate === undefined) {
+          card.lastReviewDate = card.nextReviewDate ? getLastReviewTime(card) : null;
+        }
+      }
+    },
+  },
+  {
+    version: 2,
+    // Confusion matrix, seeded from the wrong answers already in the review log
+    migrate(data) {
+      if (data.confusions) return;
+      data.confusions = {};
+      for (const r of data.reviews || []) {
+        if (r.correct) continue;
+        const chosen = findCountryByAnswer(r.chosen);
+        if (chosen && chosen.code !== r.code) recordConfusion(r.code, chosen.code, r.ts, data.confusions);
+      }
+    },
+  },
+];
+
+function migrateData(data, fromVersion) {
+  for (const m of MIGRATIONS) {
+    if (m.version > fromVersion) m.migrate(data);
+  }
+  return data;
+}
+
+/**
+ * Read one stored JSON value. Unparseable data is copied to `<key>_corrupt`
+ * so the next save can't overwrite it, and the key is reported in loadFailures.
+ */
+function readStoredJSON(key) {
+  const raw = localStorage.getItem(key);
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    console.warn('Load failed', key, e);
+    loadFailures.push(key);
+    localStorage.setItem(`${key}_corrupt`, raw);
+    return null;
+  }
+}
+
+const localStorageBackend = {
+  name: 'localStorage',
+  async read(key) {
+    return readStoredJSON(key);
+  },
+  async write(entries) {
+    for (const [key, value] of entries) {
+      localStorage.setItem(key, JSON.stringify(value));
+    }
+  },
+  async remove(keys) {
+    for (const key of keys) localStorage.removeItem(key);
+  },
+};
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function openIndexedDBBackend() {
+  const req = indexedDB.open(IDB_NAME, 1);
+  req.onupgradeneeded = () => req.result.createObjectStore(IDB_STORE);
+  const db = await idbRequest(req);
+  const update = (change) =>
+    new Promise((resolve, reject) => {
+      const tx = db.transaction(IDB_STORE, 'readwrite');
+      change(tx.objectStore(IDB_STORE));
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  return {
+    name: 'indexedDB',
+    read(key) {
+      const tx = db.transaction(IDB_STORE, 'readonly');
+      return idbRequest(tx.objectStore(IDB_STORE).get(key)).then((v) => v ?? null);
+    },
+    write(entries) {
+      return update((store) => {
+        for (const [key, value] of entries) store.put(value, key);
+      });
+    },
+    remove(keys) {
+      return update((store) => {
+        for (const key of keys) store.delete(key);
+      });
+    },
+  };
+}
+
+/**
+ * IndexedDB when the browser allows it (private modes often don't), else localStorage
+ */
+async function openStorage() {
+  if (typeof indexedDB !== 'undefined') {
+    try {
+      return await openIndexedDBBackend();
+    } catch (e) {
+      console.warn('IndexedDB unavailable, using localStorage', e);
+    }
+  }
+  return localStorageBackend;
+}
+
+/**
+ * Where one of STORAGE_KEYS is saved. Per-profile values get the profile id
+ * appended, except in the default profile, which keeps the original keys.
+ */
+function getStorageKey(name, profileId = activeProfileId) {
+  const key = STORAGE_KEYS[name];
+  if (!PROFILE_STORAGE_KEYS.includes(name) || profileId === DEFAULT_PROFILE_ID) return key;
+  return `${key}:${profileId}`;
+}
+
+/** One profile's saved values (null where nothing is saved), plus the shared packs */
+async function readAll(backend, profileId = activeProfileId) {
+  const data = {};
+  for (const name of PROFILE_STORAGE_KEYS) {
+    data[name] = await backend.read(getStorageKey(name, profileId));
+  }
+  data.packs = await backend.read(STORAGE_KEYS.packs);
+  return data;
+}
+
+async function loadData() {
+  loadFailures = [];
+  try {
+    storage = await openStorage();
+    let savedProfiles = await storage.read(STORAGE_KEYS.profiles);
+    if (storage !== localStorageBackend) {
+      const localProfiles = await localStorageBackend.read(STORAGE_KEYS.profiles);
+      if (isNewerSave(localProfiles, savedProfiles)) savedProfiles = localProfiles;
+    }
+    loadProfileList(savedProfiles);
+    await loadProfileData();
+  } catch (e) {
+    console.warn('Load failed', e);
+  }
+}
+
+/** Fill the state with the active profile's saved data; call on a fresh state */
+async function loadProfileData() {
+  let data = await readAll(storage);
+  let upgrading = false;
+  if (storage !== localStorageBackend) {
+    // localStorage holds what older versions (which had no profiles) saved, and
+    // anything saved after an IndexedDB write failed; take it if it's the newer copy
+    const localMeta = await localStorageBackend.read(getStorageKey('meta'));
+    upgrading = isNewerSave(localMeta, data.meta) || (!data.meta && activeProfileId === DEFAULT_PROFILE_ID);
+  }
+  if (upgrading) data = await readAll(localStorageBackend);
+
+  const fromVersion = data.meta?.schemaVersion ?? 0;
+  migrateData(data, fromVersion);
+  if (data.cards) cards = data.cards;
+  if (data.stats) stats = { ...stats, ...data.stats };
+  if (data.settings) settings = { ...settings, ...data.settings };
+  if (data.reviews) reviews = data.reviews;
+  if (Array.isArray(data.decks)) decks = data.decks.filter(isValidDeck);
+  if (isPlainObject(data.confusions)) confusions = data.confusions;
+  if (isPlainObject(data.leaderboard)) leaderboard = data.leaderboard;
+  if (Array.isArray(data.packs)) customPacks = data.packs.filter((pack) => !validatePack(pack).length);
+
+  if (upgrading || fromVersion < SCHEMA_VERSION) {
+    saveData();
+    await flushSave();
+  }
+}
+
+/** Whether `value` was saved after `than`, by the savedAt flushSave stamps; older saves have none */
+function isNewerSave(value, than) {
+  return Boolean(value) && (value.savedAt ?? 0) > (than?.savedAt ?? -1);
+}
+
+/**
+ * Queue a save. Answers arrive every second or two, so writes are debounced
+ * and the whole state is serialized at most once per SAVE_DEBOUNCE_MS.
+ */
+function saveData() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(flushSave, SAVE_DEBOUNCE_MS);
+}
+
+async function flushSave() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  if (!storage) return;
+  const savedAt = Date.now();
+  const entries = [
+    [getStorageKey('meta'), { schemaVersion: SCHEMA_VERSION, savedAt }],
+    [getStorageKey('cards'), cards],
+    [getStorageKey('stats'), stats],
+    [getStorageKey('settings'), settings],
+    [getStorageKey('reviews'), reviews],
+    [getStorageKey('decks'), decks],
+    [getStorageKey('confusions'), confusions],
+    [getStorageKey('leaderboard'), leaderboard],
+    [STORAGE_KEYS.packs, customPacks],
+    [STORAGE_KEYS.profiles, { activeId: activeProfileId, list: profiles, savedAt }],
+  ];
+  try {
+    await storage.write(entries);
+  } catch (e) {
+    console.warn('Save failed', e);
+    if (storage !== localStorageBackend) {
+      // The next load sees this copy is newer by its savedAt, see loadProfileData
+      storage = localStorageBackend;
+      try {
+        await storage.write(entries);
+      } catch (err) {
+        console.warn('Save failed', err);
+      }
+    }
+  }
+}
+
+// ==================== Profiles ====================
+
+/** Profiles as saved; with none readable, the device has just the default profile */
+function loadProfileList(saved) {
+  const list = Array.isArray(saved?.list) ? saved.list.filter(isValidProfile) : [];
+  profiles = list.length ? list : [{ id: DEFAULT_PROFILE_ID, name: 'Me', avatar: PROFILE_AVATARS[0] }];
+  activeProfileId = getProfile(saved?.activeId) ? saved.activeId : profiles[0].id;
+}
+
+function isValidProfile(profile) {
+  return (
+    isPlainObject(profile) &&
+    typeof profile.id === 'string' &&
+    typeof profile.name === 'string' &&
+    typeof profile.avatar === 'string'
+  );
+}
+
+function getProfile(id) {
+  return profiles.find((p) => p.id === id) || null;
+}
+
+function getActiveProfile() {
+  return getProfile(activeProfileId);
+}
+
+/** Everything kept per profile, back to what a new learner starts with */
+function resetProfileState() {
+  cards = {};
+  stats = { ...DEFAULT_STATS };
+  settings = structuredClone(DEFAULT_SETTINGS);
+  reviews = [];
+  decks = [];
+  confusions = {};
+  leaderboard = {};
+  gameState.selectedDeck = null;
+}
+
+/** Save the active profile, then load another in its place */
+async function switchProfile(id) {
+  if (!getProfile(id) || id === activeProfileId) return;
+  await flushSave();
+  activeProfileId = id;
+  resetProfileState();
+  loadFailures = [];
+  try {
+    await loadProfileData();
+  } catch (e) {
+    console.warn('Load failed', e);
+  }
+  // Remember which profile is active for the next visit
+  saveData();
+}
+
+// ==================== Backup ====================
+
+function buildBackup() {
+  return {
+    app: BACKUP_APP_ID,
+    version: BACKUP_VERSION,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    cards,
+    stats,
+    settings,
+    reviews,
+    decks,
+    confusions,
+    leaderboard,
+    packs: customPacks,
+  };
+}
+
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function exportBackup() {
+  const date = new Date().toISOString().slice(0, 10);
+  downloadFile(`flag-master-backup-${date}.json`, JSON.stringify(buildBackup(), null, 2), 'application/json');
+}
+
+const isPlainObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+// Pack text ends up in markup, so it may not open tags or close attributes
+const isText = (v) => typeof v === 'string' && v.trim() !== '' && !/[<>"]/.test(v);
+
+function isValidPair(pair) {
+  return (
+    isPlainObject(pair) &&
+    Array.isArray(pair.codes) &&
+    pair.codes.length === 2 &&
+    isPlainObject(pair.misses) &&
+    isNumber(pair.streak) &&
+    isNumber(pair.lastTs)
+  );
+}
+
+function isValidCard(card) {
+  return (
+    isPlainObject(card) &&
+    isNumber(card.easeFactor) &&
+    isNumber(card.interval) &&
+    isNumber(card.repetitions) &&
+    isNumber(card.lapses) &&
+    (card.nextReviewDate === null || isNumber(card.nextReviewDate)) &&
+    (card.state === undefined || (['learning', 'relearning'].includes(card.state) && isNumber(card.step)))
+  );
+}
+
+/**
+ * Check a parsed backup against the schema.
+ * Returns { errors, unknownCodes }; any error means the file must be rejected.
+ */
+function validateBackup(data) {
+  const errors = [];
+  if (!isPlainObject(data) || data.app !== BACKUP_APP_ID) {
+    return { errors: ['Not a Flag Master backup file.'], unknownCodes: [] };
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    errors.push('Missing or invalid backup version.');
+  } else if (data.version > BACKUP_VERSION) {
+    errors.push(`Backup version ${data.version} is newer than this app supports (${BACKUP_VERSION}).`);
+  }
+  if (!isPlainObject(data.cards)) {
+    errors.push('Missing card data.');
+  } else {
+    const invalid = Object.keys(data.cards).filter((code) => !isValidCard(data.cards[code]));
+    if (invalid.length) errors.push(`Malformed card data for: ${invalid.join(', ')}.`);
+  }
+  if (!isPlainObject(data.stats)) {
+    errors.push('Missing stats.');
+  } else {
+    const invalid = Object.keys(DEFAULT_STATS).filter((k) => k in data.stats && !isNumber(data.stats[k]));
+    if (invalid.length) errors.push(`Malformed stats: ${invalid.join(', ')}.`);
+  }
+  if (data.schemaVersion > SCHEMA_VERSION) {
+    errors.push(`Backup data format ${data.schemaVersion} is newer than this app supports (${SCHEMA_VERSION}).`);
+  }
+  if (data.settings !== undefined && !isPlainObject(data.settings)) errors.push('Malformed settings.');
+  if (data.reviews !== undefined && !Array.isArray(data.reviews)) errors.push('Malformed review log.');
+  if (data.decks !== undefined && !(Array.isArray(data.decks) && data.decks.every(isValidDeck))) {
+    errors.push('Malformed decks.');
+  }
+  if (data.confusions !== undefined && !(isPlainObject(data.confusions) && Object.values(data.confusions).every(isValidPair))) {
+    errors.push('Malformed confusion data.');
+  }
+  const isValidBoard = (runs) => Array.isArray(runs) && runs.every(isValidRun);
+  if (data.leaderboard !== undefined && !(isPlainObject(data.leaderboard) && Object.values(data.leaderboard).every(isValidBoard))) {
+    errors.push('Malformed leaderboard.');
+  }
+
+  const isValidPacks = (packList) => Array.isArray(packList) && packList.every((pack) => !validatePack(pack).length);
+  const packsOk = data.packs === undefined || isValidPacks(data.packs);
+  if (!packsOk) errors.push('Malformed content packs.');
+
+  const known = getKnownCodes(packsOk && data.packs ? data.packs.map((pack) => normalizePack(pack, true)) : []);
+  const unknownCodes = isPlainObject(data.cards)
+    ? Object.keys(data.cards).filter((key) => !known.has(parseCardKey(key).code))
+    : [];
+  return { errors, unknownCodes };
+}
+
+/**
+ * Best guess at when a card was last answered, for older cards without lastReviewDate
+ */
+function getLastReviewTime(card) {
+  if (card.lastReviewDate) return card.lastReviewDate;
+  if (card.nextReviewDate) return addDays(card.nextReviewDate, -card.interval);
+  return 0;
+}
+
+/**
+ * Apply a validated backup. "replace" swaps in everything from the file;
+ * "merge" keeps, per card, whichever side was reviewed later and never lowers stats.
+ * Cards for unknown country codes are skipped either way.
+ */
+function applyBackup(data, strategy) {
+  migrateData(data, data.schemaVersion ?? 0);
+  // Imported packs go in first, so cards for their entries count as known
+  const bundledIds = new Set(bundledPacks.map((pack) => pack.id));
+  const keptPacks = strategy === 'replace' ? [] : customPacks;
+  const keptIds = new Set(keptPacks.map((pack) => pack.id));
+  customPacks = keptPacks.concat((data.packs || []).filter((pack) => !bundledIds.has(pack.id) && !keptIds.has(pack.id)));
+  refreshPacks();
+  const known = getKnownCodes();
+  const incoming = Object.entries(data.cards).filter(([key]) => known.has(parseCardKey(key).code));
+  const incomingReviews = (data.reviews || []).filter((r) => isPlainObject(r) && known.has(r.code));
+  const incomingPairs = Object.entries(data.confusions || {}).filter(([, pair]) =>
+    pair.codes.every((code) => known.has(code))
+  );
+
+  if (strategy === 'replace') {
+    cards = Object.fromEntries(incoming);
+    stats = { ...DEFAULT_STATS, ...data.stats };
+    settings = { ...settings, ...data.settings };
+    reviews = incomingReviews;
+    decks = data.decks || [];
+    confusions = Object.fromEntries(incomingPairs);
+    leaderboard = data.leaderboard || {};
+  } else {
+    for (const [key, card] of incoming) {
+      if (!cards[key] || getLastReviewTime(card) > getLastReviewTime(cards[key])) {
+        cards[key] = card;
+      }
+    }
+    for (const key of Object.keys(DEFAULT_STATS)) {
+      if (isNumber(data.stats[key])) stats[key] = Math.max(stats[key], data.stats[key]);
+    }
+    const seen = new Set(reviews.map((r) => `${r.ts}:${r.code}`));
+    reviews = reviews
+      .concat(incomingReviews.filter((r) => !seen.has(`${r.ts}:${r.code}`)))
+      .sort((a, b) => a.ts - b.ts);
+    if (reviews.length > REVIEW_LOG_LIMIT) reviews.splice(0, reviews.length - REVIEW_LOG_LIMIT);
+    const deckIds = new Set(decks.map((d) => d.id));
+    decks = decks.concat((data.decks || []).filter((d) => !deckIds.has(d.id)));
+    for (const [key, pair] of incomingPairs) {
+      const local = confusions[key];
+      if (!local) {
+        confusions[key] = pair;
+        continue;
+      }
+      for (const code of pair.codes) {
+        local.misses[code] = Math.max(local.misses[code] || 0, pair.misses[code] || 0);
+      }
+      if (pair.lastTs > local.lastTs) Object.assign(local, { streak: pair.streak, lastTs: pair.lastTs });
+    }
+    for (const [key, runs] of Object.entries(data.leaderboard || {})) addToBoard(key, runs);
+  }
+
+  addXP(0); // recompute level from xp
+  saveData();
+  syncSettingsUI();
+  renderDeckSelect();
+  applyPacks();
+  return incoming.length;
+}
+
+function showSettingsStatus(type, message) {
+  const el = $('#settings-status');
+  el.className = `settings-status ${type}`;
+  el.textContent = message;
+  el.hidden = false;
+}
+
+async function handleImportFile(file) {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (e) {
+    showSettingsStatus('error', 'That file is not valid JSON.');
+    return;
+  }
+  const { errors, unknownCodes } = validateBackup(data);
+  if (errors.length) {
+    showSettingsStatus('error', `Import failed: ${errors.join(' ')}`);
+    return;
+  }
+
+  pendingImport = data;
+  const count = Object.keys(data.cards).length - unknownCodes.length;
+  let summary = `Backup from ${data.exportedAt ? new Date(data.exportedAt).toLocaleString() : 'unknown date'}: ${count} cards`;
+  if (data.reviews) summary += `, ${data.reviews.length} reviews`;
+  summary += '.';
+  if (unknownCodes.length) {
+    summary += ` Unknown country codes will be skipped: ${unknownCodes.join(', ')}.`;
+  }
+  $('#import-summary').textContent = summary;
+  $('#import-panel').hidden = false;
+  $('#settings-status').hidden = true;
+}
+
+function finishImport(strategy) {
+  $('#import-panel').hidden = true;
+  if (!pendingImport) return;
+  const count = applyBackup(pendingImport, strategy);
+  pendingImport = null;
+  loadFailures = [];
+  $('#load-notice').hidden = true;
+  showSettingsStatus('success', `${strategy === 'merge' ? 'Merged' : 'Restored'} ${count} cards.`);
+}
+
+// ==================== Anki Export ====================
+// An .apkg is a zip holding a legacy (schema 11) Anki collection, which is a
+// SQLite database, plus numbered media files. Both formats are written by hand
+// below so the export works without a build step or libraries.
+
+const textEncoder = new TextEncoder();
+
+let crcTable = null;
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build an uncompressed ("stored") zip archive from [{ name, data: Uint8Array }]
+ */
+function buildZip(files) {
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+  for (const file of files) {
+    const name = textEncoder.encode(file.name);
+    const crc = crc32(file.data);
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, file.data.length, true);
+    local.setUint32(22, file.data.length, true);
+    local.setUint16(26, name.length, true);
+    chunks.push(new Uint8Array(local.buffer), name, file.data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, file.data.length, true);
+    entry.setUint32(24, file.data.length, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(new Uint8Array(entry.buffer), name);
+    offset += 30 + name.length + file.data.length;
+  }
+  const centralSize = central.reduce((n, c) => n + c.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+  return new Blob([...chunks, ...central, new Uint8Array(end.buffer)], { type: 'application/zip' });
+}
+
+const SQLITE_PAGE_SIZE = 65536;
+
+function sqliteVarint(value) {
+  const bytes = [];
+  let n = BigInt(value);
+  do {
+    bytes.unshift(Number(n & 0x7fn));
+    n >>= 7n;
+  } while (n > 0n);
+  for (let i = 0; i < bytes.length - 1; i++) bytes[i] |= 0x80;
+  return bytes;
+}
+
+/**
+ * Encode one row in SQLite record format (null, integer, real and text only)
+ */
+function encodeSqliteRecord(values) {
+  const types = [];
+  const body = [];
+  for (const v of values) {
+    if (v === null) {
+      types.push(0);
+    } else if (typeof v === 'string') {
+      const bytes = textEncoder.encode(v);
+      types.push(bytes.length * 2 + 13);
+      body.push(...bytes);
+    } else if (!Number.isInteger(v)) {
+      types.push(7);
+      const buf = new DataView(new ArrayBuffer(8));
+      buf.setFloat64(0, v);
+      body.push(...new Uint8Array(buf.buffer));
+    } else if (v === 0 || v === 1) {
+      types.push(8 + v);
+    } else {
+      const sizes = [[1, 1], [2, 2], [3, 3], [4, 4], [5, 6], [6, 8]];
+      const [type, size] = sizes.find(([, n]) => n === 8 || Math.abs(v) < 2 ** (n * 8 - 1));
+      types.push(type);
+      let n = BigInt.asUintN(size * 8, BigInt(v));
+      const bytes = [];
+      for (let i = 0; i < size; i++) {
+        bytes.unshift(Number(n & 0xffn));
+        n >>= 8n;
+      }
+      body.push(...bytes);
+    }
+  }
+  const typeBytes = types.flatMap((t) => sqliteVarint(t));
+  let headerSize = typeBytes.length + 1;
+  while (sqliteVarint(headerSize).length + typeBytes.length > headerSize) headerSize++;
+  return [...sqliteVarint(headerSize), ...typeBytes, ...body];
+}
+
+/**
+ * Write a SQLite database file containing the given tables.
+ * tables: [{ name, sql, rows: [[rowid, ...columnValues]] }]. Rows must be sorted
+ * by rowid, and an INTEGER PRIMARY KEY column is passed as null (the rowid holds it).
+ * Pages are 64 KiB so no record here ever needs overflow pages.
+ */
+function buildSqliteDatabase(tables) {
+  const pages = [null]; // page 1 (sqlite_master) is filled in last
+
+  const writeTablePage = (cells, interior, rightChild = 0) => {
+    const page = new Uint8Array(SQLITE_PAGE_SIZE);
+    const view = new DataView(page.buffer);
+    const headerSize = interior ? 12 : 8;
+    let contentStart = SQLITE_PAGE_SIZE;
+    cells.forEach((cell, i) => {
+      contentStart -= cell.length;
+      page.set(cell, contentStart);
+      view.setUint16(headerSize + i * 2, contentStart);
+    });
+    page[0] = interior ? 0x05 : 0x0d;
+    view.setUint16(3, cells.length);
+    view.setUint16(5, contentStart === SQLITE_PAGE_SIZE ? 0 : contentStart);
+    if (interior) view.setUint32(8, rightChild);
+    return page;
+  };
+
+  const leafCell = ([rowid, ...values]) => {
+    const payload = encodeSqliteRecord(values);
+    return Uint8Array.from([...sqliteVarint(payload.length), ...sqliteVarint(rowid), ...payload]);
+  };
+
+  const writeTable = (rows) => {
+    const leaves = [];
+    let cells = [];
+    let used = 8;
+    let lastRowid = 0;
+    for (const row of rows) {
+      const cell = leafCell(row);
+      if (cells.length && used + cell.length + 2 > SQLITE_PAGE_SIZE) {
+        leaves.push({ cells, lastRowid });
+        cells = [];
+        used = 8;
+      }
+      cells.push(cell);
+      used += cell.length + 2;
+      lastRowid = row[0];
+    }
+    leaves.push({ cells, lastRowid });
+
+    const leafPages = leaves.map((leaf) => {
+      pages.push(writeTablePage(leaf.cells, false));
+      return pages.length;
+    });
+    if (leafPages.length === 1) return leafPages[0];
+
+    const pointers = leafPages.slice(0, -1).map((pageNo, i) => {
+      const cell = new Uint8Array(4 + 9);
+      new DataView(cell.buffer).setUint32(0, pageNo);
+      const key = sqliteVarint(leaves[i].lastRowid);
+      cell.set(key, 4);
+      return cell.slice(0, 4 + key.length);
+    });
+    pages.push(writeTablePage(pointers, true, leafPages[leafPages.length - 1]));
+    return pages.length;
+  };
+
+  const masterRows = tables.map((table, i) => [
+    i + 1,
+    'table',
+    table.name,
+    table.name,
+    writeTable(table.rows),
+    table.sql,
+  ]);
+
+  const first = writeTablePage(masterRows.map(leafCell), false);
+  // Shift the sqlite_master b-tree below the 100-byte database header
+  const page1 = new Uint8Array(SQLITE_PAGE_SIZE);
+  const cellStart = new DataView(first.buffer).getUint16(5) || SQLITE_PAGE_SIZE;
+  page1.set(first.subarray(0, 8), 100);
+  page1.set(first.subarray(cellStart), cellStart);
+  const p1 = new DataView(page1.buffer);
+  for (let i = 0; i < masterRows.length; i++) {
+    p1.setUint16(108 + i * 2, new DataView(first.buffer).getUint16(8 + i * 2));
+  }
+  page1.set(textEncoder.encode('SQLite format 3\0'), 0);
+  p1.setUint16(16, 1); // 1 means 65536
+  page1[18] = 1;
+  page1[19] = 1;
+  page1[21] = 64;
+  page1[22] = 32;
+  page1[23] = 32;
+  p1.setUint32(24, 1); // file change counter
+  p1.setUint32(28, pages.length); // database size in pages
+  p1.setUint32(40, 1); // schema cookie
+  p1.setUint32(44, 4); // schema format
+  p1.setUint32(56, 1); // UTF-8
+  p1.setUint32(92, 1); // version-valid-for
+  p1.setUint32(96, 3045000);
+  pages[0] = page1;
+
+  const out = new Uint8Array(pages.length * SQLITE_PAGE_SIZE);
+  pages.forEach((page, i) => out.set(page, i * SQLITE_PAGE_SIZE));
+  return out;
+}
+
+const ANKI_SCHEMA = {
+  col: 'CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null)',
+  notes: 'CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null)',
+  cards: 'CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null)',
+  revlog: 'CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null, ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null)',
+  graves: 'CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null)',
+};
+
+/**
+ * One Anki template per exported direction, in card `ord` order. The map has no
+ * Anki equivalent, so map cards stay in the app. `req` lists the fields a card needs.
+ */
+const ANKI_TEMPLATES = [
+  {
+    direction: 'flag',
+    name: 'Flag → Country',
+    qfmt: '<div class="flag">{{Flag}}</div>',
+    afmt: '{{FrontSide}}<hr id="answer">{{Country}}<div class="continent">{{Continent}}</div>',
+    req: [0],
+  },
+  {
+    direction: 'reverse',
+    name: 'Country → Flag',
+    qfmt: '{{Country}}',
+    afmt: '{{FrontSide}}<hr id="answer"><div class="flag">{{Flag}}</div>',
+    req: [1],
+  },
+  {
+    direction: 'capital',
+    name: 'Flag → Capital',
+    qfmt: '<div class="flag">{{Flag}}</div><div class="continent">Capital?</div>',
+    afmt: '{{FrontSide}}<hr id="answer">{{Capital}}<div class="continent">{{Country}}</div>',
+    req: [0, 4],
+  },
+  {
+    direction: 'capital-country',
+    name: 'Capital → Country',
+    qfmt: '{{Capital}}<div class="continent">Capital of?</div>',
+    afmt: '{{FrontSide}}<hr id="answer">{{Country}}<div class="flag">{{Flag}}</div>',
+    req: [4],
+  },
+  {
+    direction: 'flag-continent',
+    name: 'Flag → Continent',
+    qfmt: '<div class="flag">{{Flag}}</div><div class="continent">Continent?</div>',
+    afmt: '{{FrontSide}}<hr id="answer">{{Continent}}<div class="continent">{{Country}}</div>',
+    req: [0, 2],
+  },
+];
+
+function getAnkiMediaName(code, ext = 'svg') {
+  return `flagmaster-${code.toLowerCase().replace('/', '-')}.${ext}`;
+}
+
+function getAnkiCollectionConfig(nowSec) {
+  const model = {
+    id: ANKI_MODEL_ID,
+    name: 'Flag Master',
+    type: 0,
+    mod: nowSec,
+    usn: 0,
+    sortf: 1,
+    did: ANKI_DECK_ID,
+    tmpls: ANKI_TEMPLATES.map(({ name, qfmt, afmt }, ord) => ({
+      name,
+      ord,
+      qfmt,
+      afmt,
+      did: null,
+      bqfmt: '',
+      bafmt: '',
+    })),
+    flds: ['Flag', 'Country', 'Continent', 'Code', 'Capital'].map((name, ord) => ({
+      name,
+      ord,
+      sticky: false,
+      rtl: false,
+      font: 'Arial',
+      size: 20,
+      media: [],
+    })),
+    css: '.card { font-family: arial; font-size: 24px; text-align: center; }\n.flag img { max-width: 320px; border: 1px solid #ccc; }\n.continent { font-size: 16px; color: #888; }',
+    latexPre: '',
+    latexPost: '',
+    latexsvg: false,
+    req: ANKI_TEMPLATES.map(({ req }, ord) => [ord, 'all', req]),
+    tags: [],
+    vers: [],
+  };
+  const deck = (id, name) => ({
+    id,
+    name,
+    mod: nowSec,
+    usn: 0,
+    desc: '',
+    dyn: 0,
+    conf: 1,
+    collapsed: false,
+    extendNew: 10,
+    extendRev: 50,
+    newToday: [0, 0],
+    revToday: [0, 0],
+    lrnToday: [0, 0],
+    timeToday: [0, 0],
+  });
+  const dconf = {
+    id: 1,
+    name: 'Default',
+    mod: 0,
+    usn: 0,
+    maxTaken: 60,
+    autoplay: true,
+    timer: 0,
+    replayq: true,
+    dyn: false,
+    new: { delays: [1, 10], ints: [1, 4, 7], initialFactor: 2500, order: 1, perDay: 20, bury: true, separate: true },
+    lapse: { delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 0 },
+    rev: { perDay: 200, ease4: 1.3, fuzz: 0.05, ivlFct: 1, maxIvl: 36500, bury: true, minSpace: 1 },
+  };
+  return {
+    conf: {
+      nextPos: 1,
+      estTimes: true,
+      activeDecks: [ANKI_DECK_ID],
+      sortType: 'noteFld',
+      timeLim: 0,
+      sortBackwards: false,
+      addToCur: true,
+      curDeck: ANKI_DECK_ID,
+      newSpread: 0,
+      dueCounts: true,
+      curModel: ANKI_MODEL_ID,
+      collapseTime: 1200,
+    },
+    models: { [ANKI_MODEL_ID]: model },
+    decks: { 1: deck(1, 'Default'), [ANKI_DECK_ID]: deck(ANKI_DECK_ID, ANKI_DECK_NAME) },
+    dconf: { 1: dconf },
+  };
+}
+
+async function sha1Checksum(text) {
+  const digest = await crypto.subtle.digest('SHA-1', textEncoder.encode(text));
+  const hex = [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+  return parseInt(hex.slice(0, 8), 16);
+}
+
+/**
+ * Map SM-2 card state onto Anki's card columns: never-answered cards stay new,
+ * everything else becomes a review card due on the same day.
+ */
+function toAnkiScheduling(card, position, crtDay) {
+  if (!card.nextReviewDate) {
+    return { type: 0, queue: 0, due: position, ivl: 0, factor: 0 };
+  }
+  return {
+    type: 2,
+    queue: 2,
+    due: Math.round((startOfDay(card.nextReviewDate) - crtDay) / 86400000),
+    ivl: Math.max(1, card.interval),
+    factor: Math.round(card.easeFactor * 1000),
+  };
+}
+
+// SM-2 quality -> Anki answer button (1 again, 2 hard, 3 good, 4 easy)
+const ANKI_EASE = { 0: 1, 1: 1, 2: 1, 3: 2, 4: 3, 5: 4 };
+
+/**
+ * Flag image bytes from the first source that answers, with its file extension
+ */
+async function fetchFlagBytes(code) {
+  for (const url of getFlagSources(code)) {
+    try {
+      const res = await fetch(url);
+      if (!res.ok) continue;
+      return { bytes: new Uint8Array(await res.arrayBuffer()), ext: url.split('.').pop() };
+    } catch (e) {
+      // try the next source
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the .apkg: notes, cards with SM-2 scheduling, review history and flag media.
+ * onProgress(done, total) reports flag image downloads.
+ */
+async function buildAnkiPackage(onProgress) {
+  const now = Date.now();
+  const nowSec = Math.floor(now / 1000);
+  // Collection "creation" day: due dates are stored as days since this
+  const crtDay = addDays(new Date(), -3650);
+  const config = getAnkiCollectionConfig(nowSec);
+
+  const media = {};
+  const mediaNames = {};
+  const mediaFiles = [];
+  let done = 0;
+  for (let i = 0; i < countries.length; i += ANKI_MEDIA_BATCH) {
+    const batch = countries.slice(i, i + ANKI_MEDIA_BATCH);
+    const results = await Promise.all(batch.map((c) => fetchFlagBytes(c.code)));
+    results.forEach((result, j) => {
+      if (!result) return;
+      const index = String(mediaFiles.length);
+      const code = batch[j].code;
+      mediaNames[code] = getAnkiMediaName(code, result.ext);
+      media[index] = mediaNames[code];
+      mediaFiles.push({ name: index, data: result.bytes });
+    });
+    done += batch.length;
+    if (onProgress) onProgress(done, countries.length);
+  }
+
+  const notes = [];
+  const ankiCards = [];
+  const cardIds = {};
+  let nextCardId = now + countries.length;
+  for (let i = 0; i < countries.length; i++) {
+    const c = countries[i];
+    const noteId = now + i;
+    const fields = [`<img src="${mediaNames[c.code] || getAnkiMediaName(c.code)}">`, c.name, c.continent || '', c.code, c.capital || ''];
+    const tags = ` ${c.group.replace(/\s+/g, '_')} `;
+    notes.push([noteId, null, `flagmaster-${c.code}`, ANKI_MODEL_ID, nowSec, 0, tags, fields.join('\x1f'), c.name, await sha1Checksum(c.name), 0, '']);
+    // One Anki card per direction the entry has fields for; template ord follows ANKI_TEMPLATES
+    ANKI_TEMPLATES.forEach(({ direction }, ord) => {
+      if (!canAsk(c, direction)) return;
+      const key = getCardKey(c.code, direction);
+      const card = peekCard(key);
+      const sched = toAnkiScheduling(card, i + 1, crtDay);
+      cardIds[key] = nextCardId++;
+      ankiCards.push([cardIds[key], null, noteId, ANKI_DECK_ID, ord, nowSec, 0, sched.type, sched.queue, sched.due, sched.ivl, sched.factor, card.repetitions, card.lapses, 0, 0, 0, 0, '']);
+    });
+  }
+  ankiCards.sort((a, b) => a[0] - b[0]);
+
+  const revlog = [];
+  let lastId = 0;
+  for (const r of reviews) {
+    const cardId = cardIds[getCardKey(r.code, r.direction)];
+    if (r.quality === null || !cardId) continue;
+    const id = Math.max(r.ts, lastId + 1);
+    lastId = id;
+    revlog.push([id, null, cardId, 0, ANKI_EASE[r.quality], r.ivlAfter, r.ivlBefore, 2500, Math.min(r.ms, 60000), r.ivlBefore ? 1 : 0]);
+  }
+
+  const collection = buildSqliteDatabase([
+    {
+      name: 'col',
+      sql: ANKI_SCHEMA.col,
+      rows: [[1, null, Math.floor(crtDay / 1000), now, now, 11, 0, 0, 0, JSON.stringify(config.conf), JSON.stringify(config.models), JSON.stringify(config.decks), JSON.stringify(config.dconf), '{}']],
+    },
+    { name: 'notes', sql: ANKI_SCHEMA.notes, rows: notes },
+    { name: 'cards', sql: ANKI_SCHEMA.cards, rows: ankiCards },
+    { name: 'revlog', sql: ANKI_SCHEMA.revlog, rows: revlog },
+    { name: 'graves', sql: ANKI_SCHEMA.graves, rows: [] },
+  ]);
+
+  const files = [
+    { name: 'collection.anki2', data: collection },
+    ...mediaFiles,
+    { name: 'media', data: textEncoder.encode(JSON.stringify(media)) },
+  ];
+  return { blob: buildZip(files), mediaCount: mediaFiles.length };
+}
+
+/**
+ * Plain tab-separated export using Anki's file headers. Anki can't import
+ * scheduling from text, so the SM-2 state rides along as extra columns.
+ */
+function buildAnkiTsv() {
+  const clean = (v) => String(v).replace(/[\t\r\n]+/g, ' ');
+  const columns = ['Flag', 'Country', 'Continent', 'Code', 'Capital', 'Ease', 'Interval', 'Repetitions', 'Lapses', 'Due'];
+  const lines = [
+    '#separator:tab',
+    '#html:true',
+    `#deck:${ANKI_DECK_NAME}`,
+    `#columns:${columns.join('\t')}`,
+  ];
+  for (const c of countries) {
+    const card = peekCard(c.code);
+    const due = card.nextReviewDate ? new Date(card.nextReviewDate).toISOString().slice(0, 10) : '';
+    const img = `<img src="${c.image || `${FLAG_CDNS[0]}/${c.code.split('/').pop().toLowerCase()}.png`}">`;
+    lines.push(
+      [img, c.name, c.continent || '', c.code, c.capital || '', card.easeFactor, card.interval, card.repetitions, card.lapses, due]
+        .map(clean)
+        .join('\t')
+    );
+  }
+  return lines.join('\n') + '\n';
+}
+
+async function exportAnkiPackage() {
+  const btn = $('#export-apkg');
+  btn.disabled = true;
+  try {
+    const { blob, mediaCount } = await buildAnkiPackage((done, total) => {
+      showSettingsStatus('info', `Preparing Anki deck… flags ${done}/${total}`);
+    });
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(`flag-master-${date}.apkg`, blob, 'application/zip');
+    const missing = countries.length - mediaCount;
+    showSettingsStatus(
+      'success',
+      missing ? `Anki deck exported. ${missing} flag images couldn't be loaded and are referenced only.` : 'Anki deck exported.'
+    );
+  } catch (e) {
+    console.warn('Anki export failed', e);
+    showSettingsStatus('error', 'Anki export failed. Try the TSV export instead.');
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+function exportAnkiTsv() {
+  const date = new Date().toISOString().slice(0, 10);
+  downloadFile(`flag-master-${date}.txt`, buildAnkiTsv(), 'text/tab-separated-values');
+}
+
+// ==================== Flag Images ====================
+
+/**
+ * Image URLs for a flag in fallback order: a pack entry's own image, or else the
+ * bundled SVG first (works offline), then the CDN sizes
+ */
+function getFlagSources(code) {
+  const entry = countries.find((c) => c.code === code);
+  if (entry?.image) return [entry.image];
+  // Pack entries without an image use the flag for their code minus the pack id
+  const lower = code.split('/').pop().toLowerCase();
+  return [`${LOCAL_FLAG_PATH}/${lower}.svg`, ...FLAG_CDNS.map((base) => `${base}/${lower}.png`)];
+}
+
+/**
+ * Load a flag through its fallback sources once and remember the URL that worked.
+ * Resolves to that URL, or null when every source fails (retried on the next call).
+ */
+function loadFlagImage(code) {
+  const cached = flagImageCache.get(code);
+  if (cached && cached.status !== 'failed') return cached.promise;
+
+  const entry = { status: 'loading', src: null, promise: null };
+  entry.promise = new Promise((resolve) => {
+    const sources = getFlagSources(code);
+    const img = new Image();
+    let index = 0;
+    img.onload = () => {
+      entry.status = 'loaded';
+      entry.src = sources[index];
+      resolve(entry.src);
+    };
+    img.onerror = () => {
+      index++;
+      if (index < sources.length) {
+        img.src = sources[index];
+      } else {
+        entry.status = 'failed';
+        resolve(null);
+      }
+    };
+    img.src = sources[0];
+  });
+  flagImageCache.set(code, entry);
+  return entry.promise;
+}
+
+/**
+ * Warm the cache for the next few queued flags and every pending session retry or learning step
+ */
+function preloadUpcomingFlags() {
+  const stepping = isScheduledMode() ? getSteppingCountries() : [];
+  const upcoming = [
+    ...gameState.queue.slice(0, FLAG_PRELOAD_AHEAD),
+    ...gameState.retryQueue.map((r) => r.country),
+    ...stepping.slice(0, FLAG_PRELOAD_AHEAD).map((s) => s.country),
+  ];
+  upcoming.forEach((c) => loadFlagImage(c.code));
+}
+
+// ==================== Offline (Service Worker) ====================
+
+/**
+ * Register sw.js. A new version waits until the user accepts the update
+ * notice, so a session is never swapped out mid-review.
+ */
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+  let updateRequested = false;
+
+  const offerUpdate = (worker) => {
+    $('#update-notice').hidden = false;
+    $('#update-reload').onclick = () => {
+      updateRequested = true;
+      worker.postMessage({ type: 'SKIP_WAITING' });
+    };
+  };
+
+  navigator.serviceWorker
+    .register('sw.js')
+    .then((reg) => {
+      if (reg.waiting && navigator.serviceWorker.controller) offerUpdate(reg.waiting);
+      reg.addEventListener('updatefound', () => {
+        const worker = reg.installing;
+        worker.addEventListener('statechange', () => {
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) offerUpdate(worker);
+        });
+      });
+    })
+    .catch((e) => console.warn('Service worker registration failed', e));
+
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (!updateRequested) return;
+    updateRequested = false;
+    flushSave().then(() => location.reload());
+  });
+}
+
+// ==================== Audio ====================
+
+/**
+ * Browsers block audio until the user interacts, so nothing is created
+ * (and nothing can play) before the first pointer or key press.
+ */
+function unlockAudio() {
+  if (audioCtx) return;
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  if (!Ctx) return;
+  audioCtx = new Ctx();
+  masterGain = audioCtx.createGain();
+  masterGain.gain.value = settings.volume;
+  masterGain.connect(audioCtx.destination);
+  Object.keys(SOUND_CUES).forEach(loadSoundFile);
+}
+
+/**
+ * Optional assets/sounds/<cue>.mp3 replaces the synthesized version of a cue
+ */
+async function loadSoundFile(cue) {
+  soundBuffers[cue] = null;
+  try {
+    const res = await fetch(`${SOUND_PATH}/${cue}.mp3`);
+    if (!res.ok) return;
+    soundBuffers[cue] = await audioCtx.decodeAudioData(await res.arrayBuffer());
+  } catch (e) {
+    // no file or undecodable: keep the synthesized cue
+  }
+}
+
+function setVolume(volume) {
+  settings.volume = volume;
+  if (masterGain) masterGain.gain.value = volume;
+}
+
+function playSound(cue) {
+  if (!settings.soundEnabled || !audioCtx || !SOUND_CUES[cue]) return;
+  if (audioCtx.state === 'suspended') audioCtx.resume();
+  const t0 = audioCtx.currentTime;
+
+  if (soundBuffers[cue]) {
+    const source = audioCtx.createBufferSource();
+    source.buffer = soundBuffers[cue];
+    source.connect(masterGain);
+    source.start(t0);
+    return;
+  }
+
+  for (const [freq, start, duration, type] of SOUND_CUES[cue]) {
+    const osc = audioCtx.createOscillator();
+    const env = audioCtx.createGain();
+    osc.type = type;
+    osc.frequency.value = freq;
+    // Short attack and exponential release so notes don't click
+    env.gain.setValueAtTime(0.0001, t0 + start);
+    env.gain.exponentialRampToValueAtTime(0.3, t0 + start + 0.01);
+    env.gain.exponentialRampToValueAtTime(0.0001, t0 + start + duration);
+    osc.connect(env);
+    env.connect(masterGain);
+    osc.start(t0 + start);
+    osc.stop(t0 + start + duration + 0.02);
+  }
+}
+
+// ==================== DOM & UI ====================
+
+function $(sel) {
+  return document.querySelector(sel);
+}
+
+function showScreen(id) {
+  document.querySelectorAll('.screen').forEach((s) => s.classList.remove('active'));
+  const el = $(`#${id}`);
+  if (el) el.classList.add('active');
+}
+
+/**
+ * In-place feedback: red border on wrong, green on correct. Show correct answer.
+ * After ~1s, invoke callback to advance.
+ */
+function showAnswerFeedback(isCorrect, correctAnswer, selectedName, onComplete) {
+  const wrapper = getPromptElement();
+  const optsContainer = $('#options-container');
+  const btns = optsContainer?.querySelectorAll('.option-btn');
+
+  if (btns) {
+    const flagOptions = getQuestionType().answer === 'flag';
+    btns.forEach((btn, i) => {
+      const option = gameState.options[i];
+      const text = option && getAnswerText(option);
+      if (text === correctAnswer) {
+        btn.classList.add('correct');
+      } else if (text === selectedName && !isCorrect) {
+        btn.classList.add('wrong');
+      }
+      // Reverse rounds reveal which country each flag belongs to
+      if (flagOptions && option) {
+        const caption = document.createElement('span');
+        caption.className = 'option-caption';
+        caption.textContent = option.name;
+        btn.appendChild(caption);
+      }
+    });
+  }
+  wrapper.classList.add(isCorrect ? 'correct' : 'wrong');
+
+  setTimeout(() => {
+    wrapper.classList.remove('correct', 'wrong');
+    if (btns) btns.forEach((b) => { b.classList.remove('correct', 'wrong'); b.disabled = false; });
+    const inp = $('#answer-input');
+    if (inp) inp.disabled = false;
+    onComplete();
+  }, 1000);
+}
+
+function showCorrectCelebration(xpGained) {
+  const container = $('.flag-container');
+  if (!container) return;
+
+  const streakEl = $('#game-streak');
+  if (streakEl) {
+    streakEl.classList.remove('pop');
+    void streakEl.offsetWidth;
+    streakEl.classList.add('pop');
+  }
+
+  const toast = document.createElement('div');
+  toast.className = 'xp-toast';
+  toast.textContent = `+${xpGained} XP`;
+  container.appendChild(toast);
+  setTimeout(() => toast.remove(), 850);
+
+  const burst = document.createElement('div');
+  burst.className = 'confetti-burst';
+  for (let i = 0; i < 12; i++) {
+    const piece = document.createElement('span');
+    piece.className = 'confetti-piece';
+    piece.style.setProperty('--angle', `${(360 / 12) * i}deg`);
+    piece.style.setProperty('--distance', `${56 + Math.floor(Math.random() * 44)}px`);
+    piece.style.setProperty('--delay', `${Math.random() * 0.08}s`);
+    piece.style.setProperty('--hue', `${Math.floor(Math.random() * 90) + 90}`);
+    burst.appendChild(piece);
+  }
+  container.appendChild(burst);
+  setTimeout(() => burst.remove(), 900);
+}
+
+function advanceToNextQuestion() {
+  nextRound();
+}
+
+function syncSettingsUI() {
+  $('#sound-toggle').checked = settings.soundEnabled;
+  $('#volume-slider').value = Math.round(settings.volume * 100);
+  $('#volume-slider').disabled = !settings.soundEnabled;
+  $('#self-rating-toggle').checked = settings.selfRating;
+  $('#autocomplete-toggle').checked = settings.autocomplete;
+  $('#tier-order-select').value = settings.tierOrder;
+  $('#scheduler-select').value = settings.scheduler;
+  $('#retention-slider').value = Math.round(settings.desiredRetention * 100);
+  $('#learning-steps').value = formatSteps(settings.learningSteps);
+  $('#relearning-steps').value = formatSteps(settings.relearningSteps);
+  $('#graduating-interval').value = settings.graduatingInterval;
+  $('#easy-interval').value = settings.easyInterval;
+  $('#lapse-multiplier').value = settings.lapseMultiplier;
+  $('#new-per-day').value = settings.newPerDay;
+  $('#reviews-per-day').value = settings.reviewsPerDay;
+  $('#load-balance-toggle').checked = settings.loadBalance;
+  syncSchedulerUI();
+}
+
+function syncSchedulerUI() {
+  const fsrs = settings.scheduler === 'fsrs';
+  $('#retention-setting').hidden = !fsrs;
+  $('#fsrs-weights-setting').hidden = !fsrs;
+  $('#retention-value').textContent = `${Math.round(settings.desiredRetention * 100)}%`;
+  $('#fsrs-weights-source').textContent = settings.fsrsWeights ? 'Fitted weights' : 'Default weights';
+  $('#reset-fsrs').disabled = !settings.fsrsWeights;
+}
+
+async function runFsrsOptimizer() {
+  const button = $('#optimize-fsrs');
+  button.disabled = true;
+  try {
+    const result = await optimizeFsrsWeights((progress) => {
+      button.textContent = `${Math.round(progress * 100)}%`;
+    });
+    if (!result) {
+      showSettingsStatus('error', `Not enough history yet: need ${FSRS_OPTIMIZER_MIN_SAMPLES} repeat reviews.`);
+      return;
+    }
+    if (result.after < result.before) {
+      settings.fsrsWeights = result.weights;
+      saveData();
+    }
+    showSettingsStatus(
+      'success',
+      `Fitted to ${result.samples} reviews: log loss ${result.before.toFixed(3)} → ${result.after.toFixed(3)}.`
+    );
+  } finally {
+    button.disabled = false;
+    button.textContent = 'Optimize';
+    syncSchedulerUI();
+  }
+}
+
+function updateMenuStats() {
+  $('#stat-level').textContent = stats.level;
+  $('#stat-xp').textContent = stats.xp;
+  $('#stat-streak').textContent = stats.currentStreak;
+  $('#stat-due').textContent = getDueCount();
+  renderDailyGoal();
+}
+
+function renderDailyGoal() {
+  const goal = getDailyGoal();
+  $('#daily-goal-count').textContent = `${goal.answered} / ${goal.total}`;
+  $('#daily-goal-fill').style.width = `${goal.total ? (goal.answered / goal.total) * 100 : 100}%`;
+  let detail;
+  if (!goal.met) {
+    detail = `${goal.reviewsLeft} ${goal.reviewsLeft === 1 ? 'review' : 'reviews'} · ${goal.newLeft} new left`;
+  } else if (goal.deferred) {
+    detail = `Done for today. ${goal.deferred} held over by the review limit.`;
+  } else {
+    detail = 'Done for today.';
+  }
+  $('#daily-goal-detail').textContent = detail;
+  $('#daily-goal').classList.toggle('met', goal.met);
+}
+
+function updateGameStats() {
+  $('#game-score').textContent = `Score: ${gameState.score}`;
+  $('#game-streak').textContent = `Streak: ${gameState.streak}`;
+}
+
+function renderRound() {
+  const country = gameState.currentCountry;
+  if (!country) {
+    showComplete();
+    return;
+  }
+
+  const requestId = ++activeImageRequestId;
+  const { prompt, answer, question } = getQuestionType();
+  gameState.flagReady = false;
+  $('#flag-wrapper').hidden = prompt !== 'flag';
+  $('#name-prompt').hidden = prompt !== 'name' && prompt !== 'capital';
+  $('#map-prompt').hidden = prompt !== 'map';
+  $('#prompt-label').hidden = !question;
+  $('#prompt-label').textContent = question || '';
+  if (prompt === 'name') {
+    renderNamePrompt(country, requestId);
+  } else if (prompt === 'capital') {
+    renderCapitalPrompt(country);
+  } else if (prompt === 'map') {
+    renderMapPrompt(country, requestId);
+  } else {
+    renderFlagPrompt(country, requestId);
+  }
+
+  const promptEl = getPromptElement();
+  promptEl.classList.remove('correct', 'wrong', 'flip-in');
+  void promptEl.offsetWidth;
+  promptEl.classList.add('flip-in');
+
+  const optsContainer = $('#options-container');
+  const hardContainer = $('#hard-mode-container');
+  const isTyped = isTypedRound();
+
+  optsContainer.style.display = isTyped ? 'none' : 'grid';
+  optsContainer.classList.toggle('flag-options', answer === 'flag');
+  hardContainer.style.display = isTyped ? 'flex' : 'none';
+
+  if (!isTyped) {
+    const buttons = optsContainer.querySelectorAll('.option-btn');
+    gameState.options.forEach((opt, i) => {
+      const btn = buttons[i];
+      // Reverse rounds fill in flag images once they have loaded
+      btn.textContent = answer === 'flag' ? '' : getAnswerText(opt);
+      btn.disabled = false;
+      btn.classList.remove('correct', 'wrong');
+    });
+  } else {
+    const input = $('#answer-input');
+    input.value = '';
+    input.placeholder = answer === 'capital' ? 'Type the capital...' : 'Type country name...';
+    input.focus();
+    resetHints();
+  }
+
+  gameState.answered = false;
+  gameState.roundStartedAt = Date.now();
+  gameState.assists = [];
+  hideSelfRating();
+  hideSuggestions();
+  hideAutocomplete();
+  updateGameStats();
+  preloadUpcomingFlags();
+}
+
+/**
+ * The element answer feedback (border, shake, pulse) is applied to
+ */
+function getPromptElement() {
+  const { prompt } = getQuestionType();
+  if (prompt === 'map') return $('#map-prompt');
+  return prompt === 'flag' ? $('#flag-wrapper') : $('#name-prompt');
+}
+
+function renderFlagPrompt(country, requestId) {
+  // Alt text stays generic: a broken image would otherwise print the answer
+  const img = $('#flag-img');
+  img.alt = 'Flag to identify';
+  img.style.visibility = 'hidden';
+  img.onload = null;
+  img.onerror = null;
+  loadFlagImage(country.code).then((src) => {
+    if (requestId !== activeImageRequestId) return;
+    if (!src) {
+      skipUnloadableFlag(country);
+      return;
+    }
+    img.onload = () => {
+      if (requestId !== activeImageRequestId) return;
+      img.style.visibility = '';
+      gameState.flagReady = true;
+      // Response time counts from when the flag is actually visible
+      gameState.roundStartedAt = Date.now();
+    };
+    img.onerror = () => {
+      if (requestId === activeImageRequestId) skipUnloadableFlag(country);
+    };
+    img.src = src;
+  });
+}
+
+/**
+ * Name -> Flag: the prompt is the country name and the options are flag images.
+ * The round starts once all four flags are loaded; any failure skips it.
+ */
+function renderNamePrompt(country, requestId) {
+  $('#name-prompt').textContent = country.name;
+  const buttons = $('#options-container').querySelectorAll('.option-btn');
+  Promise.all(gameState.options.map((opt) => loadFlagImage(opt.code))).then((srcs) => {
+    if (requestId !== activeImageRequestId) return;
+    if (srcs.some((src) => !src)) {
+      skipUnloadableFlag(country);
+      return;
+    }
+    srcs.forEach((src, i) => {
+      const img = document.createElement('img');
+      img.src = src;
+      img.alt = `Flag option ${i + 1}`;
+      buttons[i].replaceChildren(img);
+    });
+    gameState.flagReady = true;
+    gameState.roundStartedAt = Date.now();
+  });
+}
+
+/** Capital -> Country: the prompt is plain text, so the round starts at once */
+function renderCapitalPrompt(country) {
+  $('#name-prompt').textContent = country.capital;
+  gameState.flagReady = true;
+}
+
+/** Fetch the bundled world map once and inline it, so its paths can be styled; null if unavailable */
+function loadWorldMap() {
+  if (!worldMapRequest) {
+    worldMapRequest = fetch(MAP_URL)
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.text();
+      })
+      .then((text) => {
+        const container = $('#map-prompt');
+        container.innerHTML = text;
+        const svg = container.querySelector('svg');
+        svg.dataset.extent = svg.getAttribute('viewBox');
+        return svg;
+      })
+      .catch((e) => {
+        console.warn('World map unavailable', e);
+        worldMapRequest = null;
+        return null;
+      });
+  }
+  return worldMapRequest;
+}
+
+/** Map -> Country: highlight the country once the map is in; a map that can't load skips the round */
+function renderMapPrompt(country, requestId) {
+  loadWorldMap().then((svg) => {
+    if (requestId !== activeImageRequestId) return;
+    if (!svg) {
+      skipUnloadableFlag(country);
+      return;
+    }
+    highlightOnMap(svg, country);
+    gameState.flagReady = true;
+    gameState.roundStartedAt = Date.now();
+  });
+}
+
+/**
+ * Highlight a country and zoom to its data-box from tools/build-map.js, with room
+ * for its neighbours. Countries too small to see get a ring; those without an
+ * outline in the map data are placed by their latlng.
+ */
+function highlightOnMap(svg, country) {
+  svg.querySelectorAll('.highlight').forEach((el) => el.classList.remove('highlight'));
+  svg.querySelector('.map-marker')?.remove();
+  const path = svg.querySelector(`[id="${country.code}"]`);
+  let box;
+  if (path) {
+    path.classList.add('highlight');
+    box = path.dataset.box.split(' ').map(Number);
+  } else {
+    const [lat, lng] = country.latlng;
+    box = [(lng + 180) * MAP_DEGREE_PX, (MAP_LAT_TOP - lat) * MAP_DEGREE_PX, 0, 0];
+  }
+  const [x, y, w, h] = box;
+  if (Math.max(w, h) < MAP_MARKER_MAX_SIZE) {
+    const marker = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+    marker.setAttribute('class', 'map-marker');
+    marker.setAttribute('cx', x + w / 2);
+    marker.setAttribute('cy', y + h / 2);
+    marker.setAttribute('r', MAP_MARKER_MAX_SIZE);
+    svg.appendChild(marker);
+  }
+
+  const [, , mapWidth, mapHeight] = svg.dataset.extent.split(' ').map(Number);
+  const width = clamp(
+    Math.max(w, h * MAP_VIEW_ASPECT) * MAP_ZOOM_PADDING,
+    MAP_MIN_VIEW_WIDTH,
+    mapWidth
+  );
+  const height = Math.min(width / MAP_VIEW_ASPECT, mapHeight);
+  const left = clamp(x + w / 2 - width / 2, 0, mapWidth - width);
+  const top = clamp(y + h / 2 - height / 2, 0, mapHeight - height);
+  svg.setAttribute('viewBox', [left, top, width, height].map((v) => v.toFixed(1)).join(' '));
+}
+
+/**
+ * A flag (or map) that can't be shown is never graded: the round is undone and the
+ * country goes to the back of the queue (dropped after FLAG_LOAD_ATTEMPTS tries).
+ */
+function skipUnloadableFlag(country) {
+  if (gameState.answered) return;
+  flagImageCache.delete(country.code);
+  gameState.questionCount--;
+  const failures = (gameState.flagFailures[country.code] || 0) + 1;
+  gameState.flagFailures[country.code] = failures;
+  if (failures < FLAG_LOAD_ATTEMPTS) gameState.queue.push(country);
+
+  const container = $('.flag-container');
+  const toast = document.createElement('div');
+  toast.className = 'xp-toast skip-toast';
+  toast.textContent = `${getQuestionType().prompt === 'map' ? 'Map' : 'Flag'} unavailable — skipped`;
+  container.appendChild(toast);
+  setTimeout(() => toast.remove(), 850);
+
+  nextRound();
+}
+
+function nextRound() {
+  // Answer feedback can still be finishing when a run ends
+  if (gameState.finished) return;
+  gameState.currentCountry = isRunOver() ? null : getNextCountry();
+  if (gameState.currentCountry) {
+    gameState.questionCount++;
+    if (!isTypedRound()) {
+      gameState.options = buildOptions(gameState.currentCountry);
+    }
+    renderRound();
+    if (currentMode === 'party') startPartyRound();
+  } else {
+    showComplete();
+  }
+}
+
+function showComplete() {
+  if (gameState.finished) return;
+  gameState.finished = true;
+  stopTimer();
+  if (match) {
+    finishMatch();
+    return;
+  }
+  const run = PRACTICE_MODES.includes(currentMode) ? recordRun() : null;
+  const overlay = $('#complete-overlay');
+  overlay.classList.add('active');
+  const title = $('#complete-title');
+  const msg = $('#complete-message');
+  const contStats = overlay.querySelector('.complete-stats');
+
+  const stepping = isScheduledMode() ? getSteppingCountries() : [];
+  const leaderboardEl = $('#complete-leaderboard');
+  leaderboardEl.hidden = !run;
+  if (run) {
+    [title.textContent, msg.textContent] = describeRun(run);
+    renderLeaderboard(leaderboardEl, run.key, run.entry);
+  } else if (stepping.length) {
+    const minutes = Math.max(1, Math.ceil((stepping[0].card.nextReviewDate - Date.now()) / MINUTE_MS));
+    title.textContent = 'Session Complete!';
+    const flags = stepping.length === 1 ? '1 flag is' : `${stepping.length} flags are`;
+    msg.textContent = `${flags} still learning. Next step due in ${formatSteps([minutes])}.`;
+  } else if (isScheduledMode() && gameState.queue.length === 0 && getDailyGoal().met) {
+    const { deferred } = getDailyGoal();
+    title.textContent = 'Daily Goal Complete!';
+    msg.textContent = deferred
+      ? `Daily review limit reached. ${deferred} more due ${deferred === 1 ? 'card waits' : 'cards wait'} for tomorrow.`
+      : 'All due cards reviewed. Come back tomorrow!';
+  } else if (currentMode === 'confusion' && getDrillPairs().length === 0) {
+    title.textContent = gameState.questionCount > 0 ? 'Look-alikes Sorted!' : 'Nothing to Drill';
+    msg.textContent =
+      gameState.questionCount > 0
+        ? 'Every drilled pair is stable now.'
+        : 'Flags you mix up in other modes will show up here.';
+  } else {
+    title.textContent = 'Session Complete!';
+    msg.textContent = 'Great work. Keep the streak going!';
+  }
+
+  const xpChange = gameState.score >= 0 ? `+${gameState.score}` : `${gameState.score}`;
+  contStats.textContent = `Score: ${xpChange} | Streak: ${gameState.streak}`;
+}
+
+/**
+ * One clock for the whole timed run: counts down for Beat the Clock and Sudden
+ * Death, up (plus miss penalties) for First to N.
+ */
+function startTimer() {
+  stopTimer();
+  gameState.clockStartedAt = Date.now();
+  let shownSeconds = null;
+  const tick = () => {
+    const el = $('#game-timer');
+    if (gameState.timedVariant === 'race') {
+      el.textContent = `${gameState.correctCount}/${gameState.raceTarget} · ${(getRunElapsedMs() / 1000).toFixed(1)}s`;
+      return;
+    }
+    const remaining = Math.max(0, Math.ceil(gameState.timerSeconds - getRunElapsedMs() / 1000));
+    if (remaining === shownSeconds) return;
+    shownSeconds = remaining;
+    el.textContent = `${remaining}s`;
+    if (remaining <= 0) {
+      playSound('timeup');
+      showComplete();
+    } else if (remaining <= TIMER_WARNING_SECONDS) {
+      playSound('tick');
+    }
+  };
+  tick();
+  gameState.timer = setInterval(tick, TIMER_TICK_MS);
+}
+
+function stopTimer() {
+  if (gameState.timer) {
+    clearInterval(gameState.timer);
+    gameState.timer = null;
+  }
+}
+
+// ==================== Practice Runs & Leaderboard ====================
+
+function getRunElapsedMs() {
+  return Date.now() - gameState.clockStartedAt + gameState.penaltyMs;
+}
+
+function isRunOver() {
+  if (currentMode !== 'timed') return false;
+  if (gameState.timedVariant === 'sudden') return gameState.missCount > 0;
+  if (gameState.timedVariant === 'race') return gameState.correctCount >= gameState.raceTarget;
+  return false;
+}
+
+/**
+ * Leaderboards are per mode, timed variant and duration (or target). Runs over a
+ * custom deck only compete with other runs over that deck.
+ */
+function getBoardKey(mode = currentMode, variant = gameState.timedVariant, value = null) {
+  const parts = [mode];
+  if (mode === 'timed') {
+    parts.push(variant, value ?? (variant === 'race' ? gameState.raceTarget : gameState.timerSeconds));
+  }
+  if (gameState.selectedDeck) parts.push(gameState.selectedDeck);
+  return parts.join(':');
+}
+
+// First to N ranks by time; Endless by longest streak; the rest by correct answers
+function compareRuns(key, a, b) {
+  if (key.startsWith('timed:race:')) return a.ms - b.ms;
+  if (key.startsWith('endless')) return b.streak - a.streak || b.correct - a.correct;
+  return b.correct - a.correct || a.misses - b.misses;
+}
+
+function addToBoard(key, runs) {
+  const seen = new Set();
+  leaderboard[key] = [...(leaderboard[key] || []), ...runs]
+    .filter((run) => !seen.has(run.ts) && seen.add(run.ts))
+    .sort((a, b) => compareRuns(key, a, b))
+    .slice(0, LEADERBOARD_SIZE);
+}
+
+/**
+ * Save the finished run to its board. Returns { key, entry, rank } (rank 0 when it
+ * didn't place), or null for a First to N run that never reached its target.
+ */
+function recordRun() {
+  const key = getBoardKey();
+  if (currentMode === 'timed' && gameState.timedVariant === 'race' && !isRunOver()) return null;
+  const entry = {
+    ts: Date.now(),
+    correct: gameState.correctCount,
+    misses: gameState.missCount,
+    streak: gameState.bestStreak,
+    ms: currentMode === 'timed' ? getRunElapsedMs() : 0,
+    score: gameState.score,
+  };
+  addToBoard(key, [entry]);
+  saveData();
+  return { key, entry, rank: leaderboard[key].indexOf(entry) + 1 };
+}
+
+function formatSeconds(seconds) {
+  return seconds % 60 === 0 ? `${seconds / 60} min` : `${seconds} sec`;
+}
+
+function formatRunResult(key, run) {
+  if (key.startsWith('timed:race:')) return `${(run.ms / 1000).toFixed(1)}s`;
+  if (key.startsWith('endless')) return `${run.streak} streak · ${run.correct} correct`;
+  return `${run.correct} correct`;
+}
+
+/** Title and message for the end-of-run overlay */
+function describeRun({ key, entry, rank }) {
+  const placed = rank === 1 ? ' New best!' : rank ? ` #${rank} on your leaderboard.` : '';
+  if (currentMode === 'endless') {
+    return ['Run Over', `${entry.correct + entry.misses} flags, longest streak ${entry.streak}.${placed}`];
+  }
+  if (gameState.timedVariant === 'race') {
+    const misses = entry.misses ? ` with ${entry.misses} ${entry.misses === 1 ? 'miss' : 'misses'}` : '';
+    return ['Finished!', `${gameState.raceTarget} flags in ${formatRunResult(key, entry)}${misses}.${placed}`];
+  }
+  if (gameState.timedVariant === 'sudden' && entry.misses) {
+    return ['Sudden Death', `${entry.correct} correct before the first miss.${placed}`];
+  }
+  return ["Time's Up!", `${entry.correct} correct in ${formatSeconds(gameState.timerSeconds)}.${placed}`];
+}
+
+function renderLeaderboard(el, key, highlight = null) {
+  const runs = (leaderboard[key] || []).slice(0, LEADERBOARD_SHOWN);
+  el.innerHTML = runs.length
+    ? runs
+        .map(
+          (run, i) => `<li class="${run === highlight ? 'current' : ''}">
+            <span class="leaderboard-rank">${i + 1}</span>
+            <span class="leaderboard-result">${formatRunResult(key, run)}</span>
+            <span class="leaderboard-date">${formatDay(run.ts)}</span>
+          </li>`
+        )
+        .join('')
+    : '<li class="section-empty">No runs yet.</li>';
+}
+
+/**
+ * Duration (or target) buttons for the selected timed variant: the presets plus
+ * any custom values that already have runs, each with its best result.
+ */
+function renderTimedOptions() {
+  const variant = gameState.timedVariant;
+  const race = variant === 'race';
+  const prefix = `timed:${variant}:`;
+  const custom = Object.keys(leaderboard)
+    .filter((key) => key.startsWith(prefix) && key.split(':').length === 3)
+    .map((key) => Number(key.split(':')[2]));
+  const values = [...new Set([...(race ? RACE_TARGETS : TIMED_DURATIONS), ...custom])].sort((a, b) => a - b);
+
+  document.querySelectorAll('#timed-select .variant-btn').forEach((btn) => {
+    btn.classList.toggle('active', btn.dataset.variant === variant);
+  });
+  $('#variant-hint').textContent = TIMED_VARIANT_HINTS[variant];
+  $('#timed-options').innerHTML = values
+    .map((value) => {
+      const key = getBoardKey('timed', variant, value);
+      const best = leaderboard[key]?.[0];
+      return `<button class="timed-btn" data-value="${value}">
+        ${race ? `First to ${value}` : formatSeconds(value)}
+        <small>${best ? `Best: ${formatRunResult(key, best)}` : 'No runs yet'}</small>
+      </button>`;
+    })
+    .join('');
+  const [min, max] = race ? CUSTOM_TARGET_RANGE : CUSTOM_DURATION_RANGE;
+  const input = $('#timed-custom-value');
+  Object.assign(input, { min, max, value: '' });
+  input.placeholder = race ? 'Flags' : 'Seconds';
+}
+
+function startTimedRun(value) {
+  if (gameState.timedVariant === 'race') gameState.raceTarget = value;
+  else gameState.timerSeconds = value;
+  startGame('timed');
+}
+
+function isValidRun(run) {
+  return isPlainObject(run) && ['ts', 'correct', 'misses', 'streak', 'ms'].every((k) => isNumber(run[k]));
+}
+
+// ==================== Answer Handling ====================
+
+function checkAnswer(selectedName) {
+  if (gameState.answered || !gameState.flagReady || gameState.finished) return;
+  gameState.answered = true;
+
+  // Disable options during feedback
+  document.querySelectorAll('.option-btn, .hint-btn').forEach((b) => (b.disabled = true));
+  const input = $('#answer-input');
+  if (input) input.disabled = true;
+  hideAutocomplete();
+
+  hideSuggestions();
+
+  const country = gameState.currentCountry;
+  const { answer, confusable } = getQuestionType();
+  const correct = getAnswerText(country);
+  // Options are exact names; typed answers may be aliases or contain typos
+  const isCorrect = matchAnswer(selectedName, country, answer).verdict === 'correct';
+  // A continent doesn't name one country
+  const chosenCountry = answer === 'continent' ? null : findCountryByAnswer(selectedName, answer, country.pack);
+  const responseMs = Date.now() - gameState.roundStartedAt;
+  const isRetry = gameState.isRetry;
+  const assists = gameState.assists.length;
+
+  const key = getCardKey(country.code, getModeDirection());
+  const review = {
+    ts: Date.now(),
+    code: country.code,
+    direction: getModeDirection(),
+    mode: currentMode,
+    chosen: selectedName.trim(),
+    chosenCode: chosenCountry?.code ?? null,
+    correct: isCorrect,
+    ms: responseMs,
+    retry: isRetry,
+    assists: [...gameState.assists],
+    quality: null,
+    state: getCardState(getCard(key)), // before this answer; daily limits count 'new' and 'review'
+    ivlBefore: getCard(key).interval,
+    ivlAfter: getCard(key).interval,
+  };
+
+  const schedules = isScheduledMode();
+  // With self-rating on, correct answers are graded after the reveal instead
+  const awaitRating = schedules && isCorrect && settings.selfRating;
+  if (schedules) {
+    if (isCorrect) {
+      if (!awaitRating) {
+        review.quality = getAnswerQuality(responseMs, isRetry, null, assists);
+        gradeCard(key, review.quality);
+      }
+      stats.totalCorrect++;
+    } else {
+      review.quality = WRONG_QUALITY;
+      gradeCard(key, review.quality);
+      stats.totalWrong++;
+    }
+    review.ivlAfter = getCard(key).interval;
+  } else if (getReviewPolicy() === 'light') {
+    applyLightReview(key, isCorrect);
+  }
+  if (!awaitRating) logReview(review);
+
+  // Only flag questions say which flag was taken for which
+  if (confusable && isCorrect) {
+    recordPairSuccess(country.code, isTypedRound() ? null : gameState.options.map((o) => o.code));
+  } else if (confusable && chosenCountry && chosenCountry.code !== country.code) {
+    recordConfusion(country.code, chosenCountry.code);
+  }
+
+  let xpGained = 0;
+  if (isCorrect) {
+    stats.currentStreak++;
+    if (stats.currentStreak > stats.longestStreak) {
+      stats.longestStreak = stats.currentStreak;
+    }
+    gameState.streak++;
+    gameState.correctCount++;
+    gameState.bestStreak = Math.max(gameState.bestStreak, gameState.streak);
+    xpGained = getTierXP(country) + (gameState.streak > 1 ? XP_STREAK_BONUS : 0);
+    if (assists) xpGained = Math.max(1, xpGained - assists * ASSIST_XP_COST);
+    const { leveledUp } = addXP(xpGained);
+    playSound(leveledUp ? 'levelup' : 'correct');
+    gameState.score += xpGained;
+    showCorrectCelebration(xpGained);
+  } else {
+    stats.currentStreak = 0;
+    gameState.streak = 0;
+    gameState.missCount++;
+    if (currentMode === 'timed' && gameState.timedVariant === 'race') gameState.penaltyMs += RACE_MISS_PENALTY_MS;
+    addXP(XP_PENALTY);
+    playSound('wrong');
+    gameState.score += XP_PENALTY;
+
+    // Reinforcement loop: wrong answers return multiple times this session.
+    // Graded modes get this from the card's persisted relearning steps instead,
+    // practice runs never repeat a flag within a pass, and a match keeps both
+    // players on the same flags.
+    if (!schedules && !PRACTICE_MODES.includes(currentMode) && !match) {
+      scheduleSessionRetry(gameState.currentCountry);
+    }
+  }
+
+  saveData();
+  if (match) sendMatchProgress();
+
+  const advance = () => {
+    if (isCorrect && STREAK_MILESTONES.includes(gameState.streak)) {
+      showStreakMilestone(gameState.streak, () => advanceToNextQuestion());
+    } else {
+      advanceToNextQuestion();
+    }
+  };
+
+  // In-place feedback: show red/green on options for ~1s, then auto-advance
+  showAnswerFeedback(isCorrect, correct, selectedName, () => {
+    if (!awaitRating) {
+      advance();
+      return;
+    }
+    showSelfRating((rating) => {
+      const quality = getAnswerQuality(responseMs, isRetry, rating, assists);
+      gradeCard(key, quality);
+      logReview({ ...review, quality, ivlAfter: getCard(key).interval });
+      saveData();
+      advance();
+    });
+  });
+}
+
+/**
+ * Again/Hard/Good/Easy buttons shown after a correct answer is revealed
+ */
+function showSelfRating(onRate) {
+  const bar = $('#rating-bar');
+  bar.hidden = false;
+  bar.querySelectorAll('.rating-btn').forEach((btn) => {
+    btn.onclick = () => {
+      hideSelfRating();
+      onRate(btn.dataset.rating);
+    };
+  });
+}
+
+function hideSelfRating() {
+  const bar = $('#rating-bar');
+  if (!bar) return;
+  bar.hidden = true;
+  bar.querySelectorAll('.rating-btn').forEach((btn) => (btn.onclick = null));
+}
+
+function isSelfRatingVisible() {
+  const bar = $('#rating-bar');
+  return !!bar && !bar.hidden;
+}
+
+/**
+ * Hard mode submit: near-misses get a "did you mean" prompt first.
+ * Submitting the same text again while it is shown grades it as typed.
+ */
+function submitTypedAnswer() {
+  if (gameState.answered || !gameState.flagReady) return;
+  const typed = $('#answer-input').value;
+  if (gameState.suggestedFor !== typed) {
+    const { verdict, suggestions } = matchAnswer(typed, gameState.currentCountry, getQuestionType().answer);
+    if (verdict === 'unsure') {
+      showSuggestions(typed, suggestions);
+      return;
+    }
+  }
+  checkAnswer(typed);
+}
+
+function showSuggestions(typed, suggestions) {
+  gameState.suggestedFor = typed;
+  const list = $('#did-you-mean-options');
+  list.innerHTML = '';
+  suggestions.forEach((country) => {
+    const btn = document.createElement('button');
+    btn.className = 'btn secondary';
+    btn.textContent = getAnswerText(country);
+    btn.addEventListener('click', () => checkAnswer(getAnswerText(country)));
+    list.appendChild(btn);
+  });
+  $('#did-you-mean').hidden = false;
+}
+
+function hideSuggestions() {
+  gameState.suggestedFor = null;
+  const panel = $('#did-you-mean');
+  if (panel) panel.hidden = true;
+}
+
+// ==================== Hints & Autocomplete ====================
+
+/** Record an assist once per round; it lowers the SM-2 quality and XP of a correct answer */
+function useAssist(kind) {
+  if (!gameState.assists.includes(kind)) gameState.assists.push(kind);
+}
+
+function getHintText(kind, country) {
+  if (kind === 'continent') return country.continent ? `Continent: ${country.continent}` : `Group: ${country.group}`;
+  if (kind === 'emblem') return `Flag: ${country.emblem}`;
+  const text = getAnswerText(country);
+  if (kind === 'letter') return `Starts with “${text[0]}”`;
+  const words = text.split(/[\s-]+/);
+  const letters = words.join('').length;
+  return words.length > 1 ? `${letters} letters in ${words.length} words` : `${letters} letters`;
+}
+
+function revealHint(kind) {
+  if (gameState.answered || !gameState.currentCountry) return;
+  useAssist(kind);
+  const btn = $(`.hint-btn[data-hint="${kind}"]`);
+  btn.disabled = true;
+  btn.textContent = getHintText(kind, gameState.currentCountry);
+  btn.classList.add('revealed');
+  $('#answer-input').focus();
+}
+
+function resetHints() {
+  // The emblem describes the flag, so it only helps when the flag isn't on screen
+  const showEmblem = getQuestionType().prompt !== 'flag' && !!gameState.currentCountry?.emblem;
+  document.querySelectorAll('.hint-btn').forEach((btn) => {
+    btn.hidden = btn.dataset.hint === 'emblem' && !showEmblem;
+    btn.disabled = false;
+    btn.textContent = btn.dataset.label;
+    btn.classList.remove('revealed');
+  });
+}
+
+/** Countries whose answer (name or capital) or an alias of it, or one of its words, starts with the typed text */
+function getAutocompleteMatches(typed) {
+  const prefix = normalizeAnswer(typed);
+  if (prefix.length < AUTOCOMPLETE_MIN_LENGTH) return [];
+  const { answer } = getQuestionType();
+  const startsWith = (name) => name.startsWith(prefix) || name.includes(` ${prefix}`);
+  const seen = new Set();
+  return countries
+    .filter((c) => getAcceptedNames(c, answer).some(startsWith))
+    // Entries from different packs can share a name (Georgia); suggest it once
+    .filter((c) => !seen.has(getAnswerText(c)) && seen.add(getAnswerText(c)))
+    .sort((a, b) => {
+      // Names that begin with the text before word-internal and alias matches
+      const rank = (c) => (normalizeAnswer(getAnswerText(c)).startsWith(prefix) ? 0 : 1);
+      return rank(a) - rank(b) || getAnswerText(a).localeCompare(getAnswerText(b));
+    })
+    .slice(0, AUTOCOMPLETE_LIMIT);
+}
+
+function updateAutocomplete() {
+  const list = $('#autocomplete-list');
+  const matches = settings.autocomplete ? getAutocompleteMatches($('#answer-input').value) : [];
+  list.innerHTML = '';
+  matches.forEach((country) => {
+    const item = document.createElement('li');
+    item.className = 'autocomplete-item';
+    item.textContent = getAnswerText(country);
+    // pointerdown so the pick lands before the input loses focus
+    item.addEventListener('pointerdown', (e) => {
+      e.preventDefault();
+      pickAutocomplete(getAnswerText(country));
+    });
+    list.appendChild(item);
+  });
+  list.hidden = matches.length === 0;
+  // Seeing the answer in the list counts as using it, picked or typed out
+  const current = gameState.currentCountry;
+  if (current && matches.some((country) => getAnswerText(country) === getAnswerText(current))) useAssist('autocomplete');
+}
+
+function pickAutocomplete(name) {
+  useAssist('autocomplete');
+  const input = $('#answer-input');
+  input.value = name;
+  input.focus();
+  hideAutocomplete();
+  hideSuggestions();
+}
+
+function hideAutocomplete() {
+  const list = $('#autocomplete-list');
+  if (!list) return;
+  list.hidden = true;
+  list.innerHTML = '';
+}
+
+/** Arrow keys move through the dropdown; returns true when the key was handled */
+function handleAutocompleteKey(e) {
+  const list = $('#autocomplete-list');
+  if (list.hidden) return false;
+  const items = [...list.querySelectorAll('.autocomplete-item')];
+  const current = items.findIndex((item) => item.classList.contains('active'));
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    const step = e.key === 'ArrowDown' ? 1 : -1;
+    const next = (current + step + items.length) % items.length;
+    items.forEach((item, i) => item.classList.toggle('active', i === next));
+    return true;
+  }
+  if (e.key === 'Enter' && current >= 0) {
+    pickAutocomplete(items[current].textContent);
+    return true;
+  }
+  if (e.key === 'Escape') {
+    hideAutocomplete();
+    return true;
+  }
+  return false;
+}
+
+const STREAK_MESSAGES = {
+  5: 'On Fire!',
+  10: 'Unstoppable!',
+  20: 'Legendary!',
+  50: 'Master!',
+  100: 'Ultimate!',
+  150: 'Champion!',
+};
+
+function showStreakMilestone(streak, onComplete) {
+  const overlay = $('#streak-milestone');
+  const text = $('#streak-milestone-text');
+  const sub = $('#streak-milestone-sub');
+  if (!overlay || !text) {
+    onComplete();
+    return;
+  }
+  text.textContent = `${streak} Streak!`;
+  playSound('streak');
+  if (sub) sub.textContent = STREAK_MESSAGES[streak] || 'Amazing!';
+  overlay.classList.add('active');
+  setTimeout(() => {
+    overlay.classList.remove('active');
+    onComplete();
+  }, 1100);
+}
+
+// ==================== Dashboard ====================
+
+function isMastered(card) {
+  return card.repetitions >= 3 && card.interval >= 21;
+}
+
+function isLearning(card) {
+  return isInSteps(card) || (card.repetitions > 0 && card.interval < 21);
+}
+
+function isStruggling(card) {
+  return card.lapses >= 3;
+}
+
+function isUnseen(card) {
+  return getCardState(card) === 'new';
+}
+
+function getMasteredCount(pool = countries) {
+  return pool.filter((c) => isMastered(peekCard(c.code))).length;
+}
+
+function getLearningCount(pool = countries) {
+  return pool.filter((c) => isLearning(peekCard(c.code))).length;
+}
+
+function getStrugglingCount(pool = countries) {
+  return pool.filter((c) => isStruggling(peekCard(c.code))).length;
+}
+
+function getUnseenCount(pool = countries) {
+  return pool.filter((c) => isUnseen(peekCard(c.code))).length;
+}
+
+/** Flags of a pool counted by getCardStatus, so the four counts add up to the pool's size */
+function getStatusCounts(pool = countries) {
+  const counts = { mastered: 0, learning: 0, struggling: 0, unseen: 0 };
+  for (const c of pool) counts[getCardStatus(peekCard(c.code))]++;
+  return counts;
+}
+
+function getAccuracy(source = stats) {
+  const total = source.totalCorrect + source.totalWrong;
+  if (total === 0) return '—';
+  return Math.round((source.totalCorrect / total) * 100) + '%';
+}
+
+function renderDashboard() {
+  $('#dash-mastered').textContent = getMasteredCount();
+  $('#dash-learning').textContent = getLearningCount();
+  $('#dash-struggling').textContent = getStrugglingCount();
+  $('#dash-longest').textContent = stats.longestStreak;
+  $('#dash-accuracy').textContent = getAccuracy();
+  $('#dash-due').textContent = getDueCount();
+  const reversePool = countries.map((c) => peekCard(getCardKey(c.code, 'reverse')));
+  $('#dash-reverse-mastered').textContent = reversePool.filter(isMastered).length;
+  $('#dash-reverse-due').textContent = getDueCount('reverse');
+
+  renderGroupHeatmap();
+  renderTierProgress();
+  renderQuestionTypeProgress();
+  renderConfusionPairs();
+  renderModeAccuracy();
+  renderReviewHistory();
+  renderProfileComparison();
+}
+
+/**
+ * One tile per group (continent for countries), tinted by the share of its flags that are mastered
+ */
+function renderGroupHeatmap() {
+  $('#continent-stats').innerHTML = getGroups()
+    .map((group) => {
+      const pool = countries.filter((c) => c.group === group);
+      const counts = getStatusCounts(pool);
+      const heat = counts.mastered / pool.length;
+      return `<button class="continent-stat" data-group="${group}" style="--heat: ${heat.toFixed(2)}">
+        <span class="continent-stat-name">${group} <small>${pool.length}</small></span>
+        <span class="continent-stat-counts">
+          <span class="count mastered" title="Mastered">${counts.mastered}</span>
+          <span class="count learning" title="Learning">${counts.learning}</span>
+          <span class="count struggling" title="Struggling">${counts.struggling}</span>
+          <span class="count unseen" title="Unseen">${counts.unseen}</span>
+        </span>
+      </button>`;
+    })
+    .join('');
+  $('#continent-detail').hidden = true;
+}
+
+/** One status per card; a struggling card counts as struggling even when it is also mastered */
+function getCardStatus(card) {
+  if (isStruggling(card)) return 'struggling';
+  if (isMastered(card)) return 'mastered';
+  if (isUnseen(card)) return 'unseen';
+  return 'learning';
+}
+
+/**
+ * Per-flag card state for one group, weakest cards first and unseen last
+ */
+function renderGroupDetail(group) {
+  const pool = countries
+    .filter((c) => c.group === group)
+    .sort((a, b) => {
+      const ca = peekCard(a.code);
+      const cb = peekCard(b.code);
+      if (isUnseen(ca) !== isUnseen(cb)) return isUnseen(ca) ? 1 : -1;
+      return ca.easeFactor - cb.easeFactor || cb.lapses - ca.lapses;
+    });
+
+  $('#continent-detail-title').textContent = group;
+  $('#continent-detail-study').dataset.group = group;
+  $('#continent-flags').innerHTML = pool
+    .map((c) => {
+      const card = peekCard(c.code);
+      const status = getCardStatus(card);
+      const next = card.nextReviewDate ? formatDay(card.nextReviewDate) : '—';
+      return `<div class="flag-card ${status}">
+        <img src="${getFlagSources(c.code)[0]}" alt="${c.name} flag" loading="lazy">
+        <span class="flag-card-name">${c.name}</span>
+        <dl>
+          <dt>Ease</dt><dd>${card.easeFactor.toFixed(2)}</dd>
+          <dt>Interval</dt><dd>${card.interval}d</dd>
+          <dt>Lapses</dt><dd>${card.lapses}</dd>
+          <dt>Next</dt><dd>${isUnseen(card) ? 'new' : next}</dd>
+        </dl>
+      </div>`;
+    })
+    .join('');
+
+  document.querySelectorAll('.continent-stat').forEach((el) => {
+    el.classList.toggle('selected', el.dataset.group === group);
+  });
+  $('#continent-detail').hidden = false;
+}
+
+/**
+ * Bar chart of plain numbers; each bar is labelled with its value on hover
+ */
+function renderBarChart(container, values, labelFor) {
+  const max = Math.max(1, ...values);
+  container.innerHTML = values
+    .map(
+      (v, i) =>
+        `<div class="bar" title="${labelFor(i)}: ${v}"><span style="height: ${(v / max) * 100}%"></span></div>`
+    )
+    .join('');
+}
+
+function formatDay(ts) {
+  return new Date(ts).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
+
+/**
+ * Stacked mastered/learning/struggling/unseen bar per difficulty tier, plus the
+ * tier new cards currently come from.
+ */
+function renderTierProgress() {
+  const tiers = [...new Set(countries.map(getTier))].sort();
+  $('#tier-progress').innerHTML = tiers
+    .map((tier) => {
+      const pool = countries.filter((c) => getTier(c) === tier);
+      const mastered = getMasteredCount(pool);
+      return `<div class="tier-row">
+        <span class="tier-label">Tier ${tier} <small>${TIER_LABELS[tier] || ''}</small></span>
+        ${renderProgressBar(pool.map((c) => peekCard(c.code)))}
+        <span class="tier-value">${mastered}/${pool.length}</span>
+      </div>`;
+    })
+    .join('');
+  const next = tiers.find((tier) => countries.some((c) => getTier(c) === tier && isUnseen(peekCard(c.code))));
+  $('#tier-next').textContent = next ? `new cards from tier ${next}` : 'all tiers introduced';
+}
+
+/** Mastery of each direction's cards, with how many are due; unstarted directions are listed as such */
+function renderQuestionTypeProgress() {
+  $('#type-progress').innerHTML = DIRECTIONS.map((direction) => {
+    const pool = countries.filter((c) => canAsk(c, direction)).map((c) => peekCard(getCardKey(c.code, direction)));
+    const mastered = pool.filter(isMastered).length;
+    const started = pool.some((card) => !isUnseen(card));
+    return `<div class="tier-row">
+        <span class="tier-label">${QUESTION_TYPES[direction].label} <small>${started ? `${getDueCount(direction)} due` : 'not started'}</small></span>
+        ${renderProgressBar(pool)}
+        <span class="tier-value">${mastered}/${pool.length}</span>
+      </div>`;
+  }).join('');
+}
+
+/**
+ * Stacked bar of mastered and learning cards. Struggling cards still learning are
+ * drawn as the last part of the learning segment, not on top of it, so the bar
+ * never passes 100%.
+ */
+function renderProgressBar(pool) {
+  const pct = (n) => ((n / Math.max(pool.length, 1)) * 100).toFixed(1);
+  const learning = pool.filter((card) => isLearning(card) && !isMastered(card));
+  const struggling = learning.filter(isStruggling).length;
+  return `<span class="tier-bar">
+          <span class="mastered" style="width: ${pct(pool.filter(isMastered).length)}%"></span>
+          <span class="learning" style="width: ${pct(learning.length - struggling)}%"></span>
+          <span class="struggling" style="width: ${pct(struggling)}%" title="Struggling, still learning"></span>
+        </span>`;
+}
+
+/** Correct and total answers per mode from the review log, in MODE_LABELS order */
+function getModeAccuracy() {
+  const tally = {};
+  for (const r of reviews) {
+    if (!r.mode) continue;
+    tally[r.mode] = tally[r.mode] || { correct: 0, total: 0 };
+    tally[r.mode].total++;
+    if (r.correct) tally[r.mode].correct++;
+  }
+  return Object.keys(MODE_LABELS)
+    .filter((mode) => tally[mode])
+    .map((mode) => ({ mode, ...tally[mode] }));
+}
+
+function renderModeAccuracy() {
+  const rows = getModeAccuracy();
+  const el = $('#mode-accuracy');
+  if (!rows.length) {
+    el.innerHTML = '<p class="section-empty">No answers recorded yet.</p>';
+    return;
+  }
+  el.innerHTML = rows
+    .map(({ mode, correct, total }) => {
+      const pct = Math.round((correct / total) * 100);
+      return `<div class="mode-accuracy-row">
+        <span class="mode-accuracy-label">${MODE_LABELS[mode]} <small>${total}</small></span>
+        <span class="mode-accuracy-bar"><span style="width: ${pct}%"></span></span>
+        <span class="mode-accuracy-value">${pct}%</span>
+      </div>`;
+    })
+    .join('');
+}
+
+/** Headline numbers from one profile's saved cards, stats and review log */
+function summarizeProfile(data) {
+  const profileCards = isPlainObject(data.cards) ? data.cards : {};
+  const profileStats = { ...DEFAULT_STATS, ...data.stats };
+  const log = Array.isArray(data.reviews) ? data.reviews : [];
+  const weekStart = addDays(new Date(), -6);
+  return {
+    level: profileStats.level,
+    mastered: countries.filter((c) => profileCards[c.code] && isMastered(profileCards[c.code])).length,
+    accuracy: getAccuracy(profileStats),
+    week: log.filter((r) => r.ts >= weekStart).length,
+    dayStreak: getStudyDayStreak(getReviewsByDay(log)),
+  };
+}
+
+/**
+ * Every profile on the device side by side; the others are read from storage as last
+ * saved. A profile that can't be read is left out, and the section with it if that
+ * leaves nobody to compare.
+ */
+async function renderProfileComparison() {
+  const loaded = await Promise.all(
+    profiles.map(async (profile) => {
+      try {
+        const data = profile.id === activeProfileId ? { cards, stats, reviews } : await readAll(storage, profile.id);
+        return { profile, ...summarizeProfile(data) };
+      } catch (e) {
+        console.warn('Load failed', profile.id, e);
+        return null;
+      }
+    })
+  );
+  const rows = loaded.filter(Boolean);
+  $('#profile-compare-section').hidden = rows.length < 2;
+  if (rows.length < 2) return;
+  const el = $('#profile-compare');
+  el.innerHTML = `<div class="profile-compare-row head">
+      <span></span><span>Level</span><span>Mastered</span><span>Accuracy</span><span>7 days</span><span>Streak</span>
+    </div>`;
+  rows.forEach(({ profile, level, mastered, accuracy, week, dayStreak }) => {
+    const row = document.createElement('div');
+    row.className = 'profile-compare-row';
+    row.classList.toggle('active', profile.id === activeProfileId);
+    row.innerHTML = `<span class="profile-compare-name"></span>
+      <span>${level}</span><span>${mastered}</span><span>${accuracy}</span><span>${week}</span><span>🔥 ${dayStreak}</span>`;
+    row.querySelector('.profile-compare-name').textContent = `${profile.avatar} ${profile.name}`;
+    el.appendChild(row);
+  });
+}
+
+/** Most-confused pairs with both flags side by side and how often each was taken for the other */
+function renderConfusionPairs() {
+  const byCode = new Map(countries.map((c) => [c.code, c]));
+  const pairs = Object.values(confusions)
+    .filter((pair) => pair.codes.every((code) => byCode.has(code)))
+    .sort((a, b) => getPairMisses(b) - getPairMisses(a) || b.lastTs - a.lastTs)
+    .slice(0, CONFUSION_LIST_LIMIT);
+  const list = $('#confusion-pairs');
+  if (!pairs.length) {
+    list.innerHTML = '<p class="section-empty">No mix-ups recorded yet.</p>';
+    return;
+  }
+  list.innerHTML = pairs
+    .map((pair) => {
+      const [a, b] = pair.codes.map((code) => byCode.get(code));
+      const side = (c, other) => `<span class="confusion-flag">
+          <img src="${getFlagSources(c.code)[0]}" alt="${c.name} flag" loading="lazy">
+          <span>${c.name}</span>
+          <small>taken for ${other.name} ×${pair.misses[c.code] || 0}</small>
+        </span>`;
+      const status = isPairStable(pair)
+        ? '<span class="confusion-status stable">Stable</span>'
+        : `<span class="confusion-status">${pair.streak}/${CONFUSION_STABLE_STREAK}</span>`;
+      return `<div class="confusion-row">${side(a, b)}<span class="confusion-vs">⇄</span>${side(b, a)}${status}</div>`;
+    })
+    .join('');
+}
+
+function renderReviewHistory() {
+  const byDay = getReviewsByDay();
+  const today = addDays(new Date(), 0);
+
+  const dailyStart = addDays(today, -(CHART_DAYS - 1));
+  const daily = Array.from({ length: CHART_DAYS }, (_, i) => byDay.get(addDays(dailyStart, i)) || 0);
+  renderBarChart($('#chart-reviews'), daily, (i) => formatDay(addDays(dailyStart, i)));
+
+  renderBarChart($('#chart-forecast'), getDueForecast(), (i) =>
+    i === 0 ? 'Today' : formatDay(addDays(today, i))
+  );
+
+  $('#retention-stats').innerHTML = getRetentionByInterval()
+    .map((b) => {
+      const pct = b.total ? Math.round((b.recalled / b.total) * 100) : null;
+      return `<div class="retention-row">
+        <span class="retention-label">${b.label}</span>
+        <span class="retention-bar"><span style="width: ${pct || 0}%"></span></span>
+        <span class="retention-value">${pct === null ? '—' : pct + '%'} <small>(${b.total})</small></span>
+      </div>`;
+    })
+    .join('');
+
+  // Calendar columns are weeks starting on Sunday, ending with the current week
+  const calendarStart = addDays(today, 6 - new Date(today).getDay() - (CALENDAR_WEEKS * 7 - 1));
+  const max = Math.max(1, ...byDay.values());
+  const cells = [];
+  for (let i = 0; i < CALENDAR_WEEKS * 7; i++) {
+    const day = addDays(calendarStart, i);
+    const count = byDay.get(day) || 0;
+    const level = day > today ? -1 : count === 0 ? 0 : Math.ceil((count / max) * 4);
+    cells.push(
+      `<span class="calendar-day" data-level="${level}" title="${formatDay(day)}: ${count} reviews"></span>`
+    );
+  }
+  $('#streak-calendar').innerHTML = cells.join('');
+  $('#study-day-streak').textContent = getStudyDayStreak(byDay);
+}
+
+// ==================== Deck Manager ====================
+
+/** Main-menu deck picker; hidden until the first deck exists */
+function renderDeckSelect() {
+  const select = $('#deck-select');
+  if (!getDeck(gameState.selectedDeck)) gameState.selectedDeck = null;
+  select.innerHTML = '<option value="">All countries</option>';
+  decks.forEach((deck) => {
+    const option = document.createElement('option');
+    option.value = deck.id;
+    option.textContent = deck.name;
+    select.appendChild(option);
+  });
+  select.value = gameState.selectedDeck || '';
+  $('#deck-picker').hidden = decks.length === 0;
+}
+
+function renderDeckList() {
+  const list = $('#deck-list');
+  list.innerHTML = '';
+  if (!decks.length) {
+    list.innerHTML = '<p class="deck-empty">No decks yet. Build one from a filter or pick countries by hand.</p>';
+    return;
+  }
+  decks.forEach((deck) => {
+    const item = document.createElement('div');
+    item.className = 'deck-item';
+    item.dataset.id = deck.id;
+    item.innerHTML = `<div class="deck-info">
+        <span class="deck-name"></span>
+        <span class="deck-desc"></span>
+      </div>
+      <button class="btn primary" data-action="study">Study</button>
+      <button class="btn secondary" data-action="edit">Edit</button>
+      <button class="btn ghost" data-action="delete" aria-label="Delete deck">✕</button>`;
+    item.querySelector('.deck-name').textContent = deck.name;
+    item.querySelector('.deck-desc').textContent = `${describeDeck(deck)} · ${deck.newPerSession} new/session`;
+    list.appendChild(item);
+  });
+}
+
+/** Filter chips and the pick list are generated from whatever values the enabled packs use */
+function buildDeckEditorOptions() {
+  const values = (key) => [...new Set(countries.flatMap((c) => c[key] ?? []))].sort();
+  const chips = (id, options, label = (v) => v) => {
+    $(id).innerHTML = options
+      .map((v) => `<label class="chip"><input type="checkbox" value="${v}"><span>${label(v)}</span></label>`)
+      .join('');
+  };
+  chips('#deck-continents', getGroups());
+  chips('#deck-colors', values('colors'));
+  chips('#deck-layouts', values('layout'));
+  chips('#deck-tiers', values('difficultyTier'), (v) => `Tier ${v}`);
+
+  $('#deck-pick-grid').innerHTML = [...countries]
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(
+      (c) => `<label class="deck-pick" data-name="${normalizeAnswer(c.name)}">
+        <input type="checkbox" value="${c.code}">
+        <img src="${getFlagSources(c.code)[0]}" alt="" loading="lazy">
+        <span>${c.name}</span>
+      </label>`
+    )
+    .join('');
+}
+
+function getCheckedValues(selector) {
+  return [...document.querySelectorAll(`${selector} input:checked`)].map((input) => input.value);
+}
+
+function setCheckedValues(selector, values) {
+  document.querySelectorAll(`${selector} input`).forEach((input) => {
+    input.checked = values.map(String).includes(input.value);
+  });
+}
+
+function openDeckEditor(deck = null) {
+  editingDeckId = deck?.id ?? null;
+  const filter = deck?.filter || { continents: [], colors: [], layouts: [], tiers: [] };
+  $('#deck-editor-title').textContent = deck ? 'Edit Deck' : 'New Deck';
+  $('#deck-name').value = deck?.name ?? '';
+  $('#deck-new-limit').value = deck?.newPerSession ?? CONTINENT_NEW_CARDS_PER_SESSION;
+  $(`input[name="deck-kind"][value="${deck?.kind ?? 'filter'}"]`).checked = true;
+  setCheckedValues('#deck-continents', filter.continents);
+  setCheckedValues('#deck-colors', filter.colors);
+  setCheckedValues('#deck-layouts', filter.layouts);
+  setCheckedValues('#deck-tiers', filter.tiers);
+  setCheckedValues('#deck-pick-grid', deck?.kind === 'list' ? deck.codes : []);
+  $('#deck-search').value = '';
+  filterDeckPicks();
+  $('#deck-error').hidden = true;
+  $('#deck-editor').hidden = false;
+  updateDeckEditor();
+  $('#deck-name').focus();
+}
+
+function closeDeckEditor() {
+  editingDeckId = null;
+  $('#deck-editor').hidden = true;
+}
+
+/** Deck described by the editor's current inputs (id left to the caller) */
+function readDeckEditor() {
+  const newPerSession = parseInt($('#deck-new-limit').value, 10);
+  return {
+    name: $('#deck-name').value.trim().slice(0, DECK_NAME_MAX_LENGTH),
+    kind: $('input[name="deck-kind"]:checked').value,
+    filter: {
+      continents: getCheckedValues('#deck-continents'),
+      colors: getCheckedValues('#deck-colors'),
+      layouts: getCheckedValues('#deck-layouts'),
+      tiers: getCheckedValues('#deck-tiers').map(Number),
+    },
+    codes: getCheckedValues('#deck-pick-grid'),
+    newPerSession: Number.isInteger(newPerSession)
+      ? Math.min(Math.max(newPerSession, 0), DECK_NEW_CARDS_MAX)
+      : CONTINENT_NEW_CARDS_PER_SESSION,
+  };
+}
+
+/** Show the section for the chosen deck kind and a live count of matching countries */
+function updateDeckEditor() {
+  const draft = readDeckEditor();
+  $('#deck-filter').hidden = draft.kind !== 'filter';
+  $('#deck-list-picker').hidden = draft.kind !== 'list';
+  const count = getDeckCountries(draft).length;
+  $('#deck-preview').textContent = `${count} ${count === 1 ? 'country' : 'countries'} in this deck`;
+}
+
+function filterDeckPicks() {
+  const query = normalizeAnswer($('#deck-search').value);
+  document.querySelectorAll('.deck-pick').forEach((el) => {
+    el.hidden = !!query && !el.dataset.name.includes(query);
+  });
+}
+
+function saveDeckFromEditor() {
+  const draft = readDeckEditor();
+  const showError = (msg) => {
+    $('#deck-error').textContent = msg;
+    $('#deck-error').hidden = false;
+  };
+  if (!draft.name) return showError('Give the deck a name.');
+  if (!getDeckCountries(draft).length) return showError('This deck has no countries yet.');
+
+  // Keep only the definition for the chosen kind
+  const deck = { id: editingDeckId || `deck-${Date.now().toString(36)}`, ...draft };
+  if (deck.kind === 'list') delete deck.filter;
+  else delete deck.codes;
+
+  const index = decks.findIndex((d) => d.id === deck.id);
+  if (index === -1) decks.push(deck);
+  else decks[index] = deck;
+  saveData();
+  closeDeckEditor();
+  renderDeckList();
+  renderDeckSelect();
+}
+
+function deleteDeck(id) {
+  const deck = getDeck(id);
+  if (!deck || !confirm(`Delete the deck "${deck.name}"? Card progress is kept.`)) return;
+  decks = decks.filter((d) => d.id !== id);
+  if (editingDeckId === id) closeDeckEditor();
+  saveData();
+  renderDeckList();
+  renderDeckSelect();
+}
+
+// ==================== Pack Manager ====================
+
+/** Redraw everything that lists entries or groups after the enabled packs change */
+function applyPacks() {
+  refreshPacks();
+  buildDeckEditorOptions();
+  renderGroupSelect();
+  renderPackList();
+  updateMenuStats();
+}
+
+/** Group Mode buttons, one per group of the enabled packs */
+function renderGroupSelect() {
+  const grid = $('#group-grid');
+  grid.innerHTML = '';
+  getGroups().forEach((group) => {
+    const btn = document.createElement('button');
+    btn.className = 'continent-btn';
+    btn.dataset.group = group;
+    btn.textContent = `${getGroupIcon(group)} ${group}`;
+    grid.appendChild(btn);
+  });
+}
+
+function renderPackList() {
+  const list = $('#pack-list');
+  list.innerHTML = '';
+  packs.forEach((pack) => {
+    const item = document.createElement('div');
+    item.className = 'setting-item pack-item';
+    item.dataset.id = pack.id;
+    item.innerHTML = `<label class="pack-toggle">
+        <span class="pack-info">
+          <span class="pack-name"></span>
+          <small class="pack-desc"></small>
+        </span>
+        <input type="checkbox">
+      </label>
+      ${pack.custom ? '<button class="btn ghost" data-action="remove" aria-label="Remove pack">✕</button>' : ''}`;
+    const count = pack.entries.length;
+    item.querySelector('.pack-name').textContent = pack.name;
+    item.querySelector('.pack-desc').textContent = [pack.description, `${count} ${count === 1 ? 'flag' : 'flags'}`]
+      .filter(Boolean)
+      .join(' · ');
+    const toggle = item.querySelector('input');
+    toggle.checked = isPackEnabled(pack.id);
+    toggle.disabled = pack.id === CORE_PACK_ID;
+    list.appendChild(item);
+  });
+}
+
+function setPackEnabled(id, enabled) {
+  settings.enabledPacks = settings.enabledPacks.filter((p) => p !== id);
+  if (enabled) settings.enabledPacks.push(id);
+  saveData();
+  applyPacks();
+}
+
+/** Add (or update, by id) a team's own pack from a JSON file and switch it on */
+async function handlePackFile(file) {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (e) {
+    showSettingsStatus('error', 'That file is not valid JSON.');
+    return;
+  }
+  const errors = validatePack(data);
+  if (!errors.length && bundledPacks.some((pack) => pack.id === data.id)) {
+    errors.push(`"${data.id}" is the id of a bundled pack.`);
+  }
+  if (errors.length) {
+    showSettingsStatus('error', `Pack not added: ${errors.join(' ')}`);
+    return;
+  }
+  const updating = customPacks.some((pack) => pack.id === data.id);
+  customPacks = customPacks.filter((pack) => pack.id !== data.id).concat(data);
+  if (!settings.enabledPacks.includes(data.id)) settings.enabledPacks.push(data.id);
+  saveData();
+  applyPacks();
+  showSettingsStatus('success', `${updating ? 'Updated' : 'Added'} ${data.name} with ${data.entries.length} flags.`);
+}
+
+/** Progress on a removed pack's flags stays in `cards` and returns if it is imported again */
+function removePack(id) {
+  const pack = packs.find((p) => p.id === id);
+  if (!confirm(`Remove ${pack.name}? Your progress on its flags is kept if you import it again.`)) return;
+  customPacks = customPacks.filter((p) => p.id !== id);
+  settings.enabledPacks = settings.enabledPacks.filter((p) => p !== id);
+  saveData();
+  applyPacks();
+}
+
+// ==================== Profile Manager ====================
+
+/** Redraw everything that shows per-profile data after switching profiles */
+function applyProfile() {
+  setVolume(settings.volume);
+  applyPacks();
+  renderDeckSelect();
+  syncSettingsUI();
+  renderProfilePicker();
+  $('#load-notice').hidden = loadFailures.length === 0;
+}
+
+/** Main-menu row of profiles; tapping one switches to it */
+function renderProfilePicker() {
+  const picker = $('#profile-picker');
+  picker.innerHTML = '';
+  profiles.forEach((profile) => {
+    const btn = document.createElement('button');
+    btn.className = 'profile-chip';
+    btn.classList.toggle('active', profile.id === activeProfileId);
+    btn.dataset.id = profile.id;
+    btn.innerHTML = '<span class="profile-avatar"></span><span class="profile-chip-name"></span>';
+    btn.querySelector('.profile-avatar').textContent = profile.avatar;
+    btn.querySelector('.profile-chip-name').textContent = profile.name;
+    picker.appendChild(btn);
+  });
+}
+
+function renderProfileList() {
+  const list = $('#profile-list');
+  const full = profiles.length >= MAX_PROFILES;
+  list.innerHTML = '';
+  profiles.forEach((profile) => {
+    const active = profile.id === activeProfileId;
+    const item = document.createElement('div');
+    item.className = 'deck-item';
+    item.dataset.id = profile.id;
+    item.innerHTML = `<span class="profile-avatar"></span>
+      <div class="deck-info">
+        <span class="deck-name"></span>
+        <span class="deck-desc">${active ? 'Playing now' : ''}</span>
+      </div>
+      ${active ? '' : '<button class="btn primary" data-action="use">Use</button>'}
+      <button class="btn secondary" data-action="edit">Edit</button>
+      <button class="btn secondary" data-action="copy"${full ? ' disabled' : ''}>Copy</button>
+      <button class="btn ghost" data-action="delete" aria-label="Delete profile"${profiles.length < 2 ? ' disabled' : ''}>✕</button>`;
+    item.querySelector('.profile-avatar').textContent = profile.avatar;
+    item.querySelector('.deck-name').textContent = profile.name;
+    list.appendChild(item);
+  });
+  $('#profile-new').disabled = full;
+}
+
+async function useProfile(id) {
+  await switchProfile(id);
+  applyProfile();
+  renderProfileList();
+}
+
+function openProfileEditor(profile = null) {
+  editingProfileId = profile?.id ?? null;
+  const taken = new Set(profiles.map((p) => p.avatar));
+  const avatar = profile?.avatar ?? PROFILE_AVATARS.find((a) => !taken.has(a)) ?? PROFILE_AVATARS[0];
+  $('#profile-editor-title').textContent = profile ? 'Edit Profile' : 'New Profile';
+  $('#profile-name').value = profile?.name ?? '';
+  setCheckedValues('#profile-avatars', [avatar]);
+  $('#profile-error').hidden = true;
+  $('#profile-editor').hidden = false;
+  $('#profile-name').focus();
+}
+
+function closeProfileEditor() {
+  editingProfileId = null;
+  $('#profile-editor').hidden = true;
+}
+
+/** Rename the profile being edited, or create a new one and switch to it */
+async function saveProfileFromEditor() {
+  const name = $('#profile-name').value.trim().slice(0, PROFILE_NAME_MAX_LENGTH);
+  const avatar = getCheckedValues('#profile-avatars')[0] || PROFILE_AVATARS[0];
+  const showError = (msg) => {
+    $('#profile-error').textContent = msg;
+    $('#profile-error').hidden = false;
+  };
+  if (!name) return showError('Give the profile a name.');
+  if (profiles.some((p) => p.id !== editingProfileId && p.name.toLowerCase() === name.toLowerCase())) {
+    return showError('Another profile already has that name.');
+  }
+
+  const profile = getProfile(editingProfileId);
+  closeProfileEditor();
+  if (profile) {
+    profile.name = name;
+    profile.avatar = avatar;
+    saveData();
+    renderProfilePicker();
+    renderProfileList();
+  } else {
+    profiles.push({ id: `profile-${Date.now().toString(36)}`, name, avatar });
+    await useProfile(profiles[profiles.length - 1].id);
+  }
+}
+
+/** A new profile that starts from another's saved progress, settings and history */
+async function copyProfile(id) {
+  const source = getProfile(id);
+  if (!source || profiles.length >= MAX_PROFILES) return;
+  await flushSave();
+  const copy = { id: `profile-${Date.now().toString(36)}`, name: `${source.name} (copy)`, avatar: source.avatar };
+  try {
+    const data = await readAll(storage, id);
+    await storage.write(
+      PROFILE_STORAGE_KEYS.filter((name) => data[name] !== null).map((name) => [getStorageKey(name, copy.id), data[name]])
+    );
+  } catch (e) {
+    console.warn('Copy failed', e);
+    return;
+  }
+  profiles.push(copy);
+  saveData();
+  renderProfilePicker();
+  renderProfileList();
+}
+
+/** Remove a profile and everything saved for it; the last one can't be deleted */
+async function deleteProfile(id) {
+  const profile = getProfile(id);
+  if (!profile || profiles.length < 2) return;
+  if (!confirm(`Delete ${profile.name}'s profile? Their progress, settings and history are removed from this device.`)) return;
+  if (editingProfileId === id) closeProfileEditor();
+  if (id === activeProfileId) await switchProfile(profiles.find((p) => p.id !== id).id);
+  profiles = profiles.filter((p) => p.id !== id);
+  try {
+    await storage.remove(PROFILE_STORAGE_KEYS.map((name) => getStorageKey(name, id)));
+  } catch (e) {
+    console.warn('Delete failed', e);
+  }
+  saveData();
+  applyProfile();
+  renderProfileList();
+}
+
+// ==================== Multiplayer ====================
+
+/**
+ * A match is a fixed list of questions built from one seed. Pass & Play hands one
+ * device around; Head-to-Head runs on two, each building the same list from the
+ * seed and pool the host sends through the relay (tools/relay.js). Match answers
+ * don't touch cards; Head-to-Head still logs this device's answers as practice.
+ */
+
+const PLAYER_STATS = ['score', 'streak', 'bestStreak', 'correct', 'answered', 'ms'];
+const MATCH_REJECT_MESSAGES = {
+  packs: 'The other device is missing some of these flags. Turn on the same content packs on both.',
+  version: 'The two devices built different questions. Update both to the same version of the app.',
+};
+
+function createPlayer(name) {
+  return { name, score: 0, streak: 0, bestStreak: 0, correct: 0, answered: 0, ms: 0, done: false, left: false };
+}
+
+/** Names end up in markup, so the characters isText rejects are dropped */
+function cleanPlayerName(value) {
+  return String(value || '').replace(/[<>"]/g, '').trim().slice(0, PLAYER_NAME_MAX_LENGTH);
+}
+
+function createSeed() {
+  return Math.floor(Math.random() * 2 ** 32);
+}
+
+/** `count` flags of the pool in seeded order, each with seeded options from the pool */
+function buildMatchQuestions(seed, pool, count) {
+  return withSeed(seed, () =>
+    shuffleArray([...pool])
+      .slice(0, count)
+      .map((country) => ({ country, options: shuffleArray([country, ...getDistractors(country, 3, pool)]) }))
+  );
+}
+
+/** Checksum of a match's flags and options, so two devices can tell they built the same one */
+function getMatchChecksum(questions) {
+  const text = questions.map((q) => q.options.map((o) => o.code).join(',')).join(';');
+  return crc32(new TextEncoder().encode(text));
+}
+
+/** Matches ask Flag → Name over the study pool (the selected deck, or every enabled flag) */
+function getMatchPool() {
+  return getStudyPool('flag');
+}
+
+function startMatch(mode, players, questions) {
+  match = { ...match, players, questions, turn: 0, picks: [], startedAt: Date.now() };
+  startGame(mode);
+  renderMatchBoard();
+}
+
+/** Close the match on this device; in Head-to-Head the opponent sees this player leave */
+function leaveMatch() {
+  if (!match) return;
+  const { socket } = match;
+  match = null;
+  if (socket) socket.close();
+}
+
+/** Same points as a solo run: the flag's tier XP plus a streak bonus, or the miss penalty */
+function scoreMatchAnswer(player, country, isCorrect) {
+  player.answered++;
+  if (isCorrect) {
+    player.streak++;
+    player.correct++;
+    player.bestStreak = Math.max(player.bestStreak, player.streak);
+    player.score += getTierXP(country) + (player.streak > 1 ? XP_STREAK_BONUS : 0);
+  } else {
+    player.streak = 0;
+    player.score += XP_PENALTY;
+  }
+}
+
+/** Players best first: score, then correct answers, then time taken (Head-to-Head) */
+function getStandings() {
+  return [...match.players].sort(compareStandings);
+}
+
+function compareStandings(a, b) {
+  return b.score - a.score || b.correct - a.correct || a.ms - b.ms;
+}
+
+/** Score strip above the flag; `reveal` marks each player's pick on the flag just answered */
+function renderMatchBoard(reveal = false) {
+  const picks = new Map(reveal ? match.picks.map((p) => [p.player, p]) : []);
+  const total = match.questions.length;
+  $('#match-board').innerHTML = match.players
+    .map((player, i) => {
+      const pick = picks.get(player);
+      const classes = ['match-player'];
+      if (currentMode === 'party' && !reveal && i === match.turn) classes.push('active');
+      if (pick) classes.push(pick.correct ? 'correct' : 'wrong');
+      let detail = player.streak > 1 ? `🔥 ${player.streak}` : '';
+      if (currentMode === 'versus') {
+        detail = `${player.answered}/${total}${player.left ? ' · left' : player.done ? ' · done' : ''}`;
+      }
+      return `<div class="${classes.join(' ')}">
+        <span class="match-player-name">${player.name}</span>
+        <span class="match-player-score">${player.score}</span>
+        <small>${detail}</small>
+      </div>`;
+    })
+    .join('');
+}
+
+function finishMatch() {
+  if (currentMode === 'versus') {
+    const me = match.players[0];
+    Object.assign(me, { done: true, ms: Date.now() - match.startedAt });
+    sendToPeer({ type: 'done', ...pickPlayerStats(me) });
+  }
+  $('#complete-overlay').classList.add('active');
+  renderMatchResult();
+}
+
+/** Final standings; in Head-to-Head, a waiting message until the opponent is done too */
+function renderMatchResult() {
+  const standings = getStandings();
+  const [first, second] = standings;
+  const total = match.questions.length;
+  const me = currentMode === 'versus' ? match.players[0] : null;
+  const opponent = currentMode === 'versus' ? match.players[1] : null;
+  const title = $('#complete-title');
+  const msg = $('#complete-message');
+  if (opponent && !opponent.done && !opponent.left) {
+    title.textContent = `Waiting for ${opponent.name}…`;
+    msg.textContent = `${opponent.name} has answered ${opponent.answered} of ${total}.`;
+  } else if (opponent && !opponent.done) {
+    title.textContent = `${opponent.name} Left`;
+    msg.textContent = 'The match ended early. Scores so far:';
+  } else if (second && compareStandings(first, second) === 0) {
+    title.textContent = "It's a Draw!";
+    msg.textContent = `${total} flags, ${standings.length} players.`;
+  } else {
+    title.textContent = `${first.name} Wins!`;
+    msg.textContent = `${total} flags, ${standings.length} players.`;
+  }
+
+  const list = $('#complete-leaderboard');
+  list.hidden = false;
+  list.innerHTML = standings
+    .map(
+      (player, i) => `<li class="${player === me ? 'current' : ''}">
+        <span class="leaderboard-rank">${standings.findIndex((p) => compareStandings(p, player) === 0) + 1}</span>
+        <span class="leaderboard-result">${player.name} · ${player.score}</span>
+        <span class="leaderboard-date">${player.correct}/${total}${player.ms ? ` in ${(player.ms / 1000).toFixed(1)}s` : ''}</span>
+      </li>`
+    )
+    .join('');
+  const streaker = [...standings].sort((a, b) => b.bestStreak - a.bestStreak)[0];
+  $('#complete-overlay .complete-stats').textContent = streaker.bestStreak > 1
+    ? `Longest streak: ${streaker.name}, ${streaker.bestStreak}`
+    : '';
+}
+
+function showMatchTab(tab) {
+  document.querySelectorAll('#match-select .variant-btn').forEach((btn) => {
+    btn.classList.toggle('active', btn.dataset.tab === tab);
+  });
+  $('#party-setup').hidden = tab !== 'party';
+  $('#versus-setup').hidden = tab !== 'versus';
+  $('#match-hint').textContent = MATCH_HINTS[tab];
+  $('#match-status').hidden = true;
+}
+
+function openMatchSetup() {
+  leaveMatch();
+  const saved = Array.isArray(settings.playerNames) ? settings.playerNames : [];
+  const names = saved.map(cleanPlayerName).slice(0, MATCH_PLAYERS[1]);
+  while (names.length < MATCH_PLAYERS[0]) names.push('');
+  renderPlayerFields(names);
+  $('#versus-name').value = cleanPlayerName(settings.playerName || getActiveProfile().name);
+  $('#relay-url').value = typeof settings.relayUrl === 'string' ? settings.relayUrl : '';
+  $('#relay-url').placeholder = getDefaultRelayUrl();
+  $('#room-code').value = '';
+  showMatchTab('party');
+  showScreen('match-select');
+}
+
+// Pass & Play
+
+function renderPlayerFields(names) {
+  const [min, max] = MATCH_PLAYERS;
+  $('#player-list').innerHTML = names
+    .map(
+      (name, i) => `<div class="player-field">
+        <input type="text" class="player-name" maxlength="${PLAYER_NAME_MAX_LENGTH}" value="${name}" placeholder="Player ${i + 1}">
+        <button type="button" class="btn ghost" data-remove="${i}" aria-label="Remove player"${names.length <= min ? ' disabled' : ''}>✕</button>
+      </div>`
+    )
+    .join('');
+  $('#add-player').disabled = names.length >= max;
+}
 
-  gameState.answered = false;
-  updateGameStats();
+function readPlayerNames() {
+  return [...document.querySelectorAll('.player-name')].map((input) => cleanPlayerName(input.value));
+}
 
-  if (currentMode === 'timed' && gameState.timerSeconds > 0) {
-    startTimer();
+function startPartyMatch() {
+  const pool = getMatchPool();
+  if (pool.length < 4) {
+    showMatchStatus('error', 'A match needs at least 4 flags in the pool.');
+    return;
   }
+  const names = readPlayerNames().map((name, i) => name || `Player ${i + 1}`);
+  settings.playerNames = names;
+  saveData();
+  leaveMatch();
+  startMatch('party', names.map(createPlayer), buildMatchQuestions(createSeed(), pool, Number($('#match-length').value)));
 }
 
-function nextRound() {
-  gameState.currentCountry = getNextCountry();
-  if (gameState.currentCountry) {
-    gameState.questionCount++;
-    if (currentMode !== 'hard') {
-      gameState.options = buildOptions(gameState.currentCountry);
-    }
-    renderRound();
-  } else {
-    showComplete();
-  }
+/** A new flag: every player answers it in turn, behind a cover so nobody sees another's pick */
+function startPartyRound() {
+  match.picks = [];
+  startTurn(0);
 }
 
-function showComplete() {
-  if (currentMode === 'timed') stopTimer();
-  const overlay = $('#complete-overlay');
-  overlay.classList.add('active');
-  const title = $('#complete-title');
-  const msg = $('#complete-message');
-  const contStats = overlay.querySelector('.complete-stats');
+function startTurn(turn) {
+  match.turn = turn;
+  // A focus ring would show the next player which option was just picked
+  document.activeElement?.blur();
+  renderMatchBoard();
+  $('#turn-player').textContent = match.players[turn].name;
+  $('#turn-overlay').classList.add('active');
+}
 
-  if (currentMode === 'normal' && gameState.queue.length === 0 && getDueCount() === 0) {
-    title.textContent = 'Daily Goal Complete!';
-    msg.textContent = 'All due cards reviewed. Come back tomorrow!';
-  } else {
-    title.textContent = 'Session Complete!';
-    msg.textContent = 'Great work. Keep the streak going!';
+function pickTurnAnswer(selectedName) {
+  if (gameState.answered || !gameState.flagReady || gameState.finished) return;
+  if ($('#turn-overlay').classList.contains('active')) return;
+  const country = gameState.currentCountry;
+  match.picks.push({
+    player: match.players[match.turn],
+    answer: selectedName,
+    correct: matchAnswer(selectedName, country).verdict === 'correct',
+  });
+  if (match.turn < match.players.length - 1) {
+    startTurn(match.turn + 1);
+    return;
   }
-
-  const xpChange = gameState.score >= 0 ? `+${gameState.score}` : `${gameState.score}`;
-  contStats.textContent = `Score: ${xpChange} | Streak: ${gameState.streak}`;
+  gameState.answered = true;
+  revealTurnPicks();
 }
 
-function startTimer() {
-  stopTimer();
-  const el = $('#game-timer');
-  let remaining = gameState.timerSeconds;
-  el.textContent = `${remaining}s`;
-  gameState.timer = setInterval(() => {
-    remaining--;
-    el.textContent = `${remaining}s`;
-    if (remaining <= 0) {
-      stopTimer();
-      showComplete();
-    }
-  }, 1000);
-}
+/** Score every pick, then show the answer and who got it for TURN_REVEAL_MS */
+function revealTurnPicks() {
+  const country = gameState.currentCountry;
+  const correctAnswer = getAnswerText(country);
+  match.picks.forEach(({ player, correct }) => scoreMatchAnswer(player, country, correct));
+  const buttons = document.querySelectorAll('.option-btn');
+  buttons.forEach((btn, i) => {
+    const text = getAnswerText(gameState.options[i]);
+    btn.disabled = true;
+    if (text === correctAnswer) btn.classList.add('correct');
+    else if (match.picks.some((p) => p.answer === text)) btn.classList.add('wrong');
+  });
+  playSound(match.picks.some((p) => p.correct) ? 'correct' : 'wrong');
+  renderMatchBoard(true);
 
-function stopTimer() {
-  if (gameState.timer) {
-    clearInterval(gameState.timer);
-    gameState.timer = null;
-  }
+  const current = match;
+  setTimeout(() => {
+    if (match !== current) return;
+    buttons.forEach((b) => {
+      b.classList.remove('correct', 'wrong');
+      b.disabled = false;
+    });
+    advanceToNextQuestion();
+  }, TURN_REVEAL_MS);
 }
 
-// ==================== Answer Handling ====================
+// Head-to-Head
 
-function checkAnswer(selectedName) {
-  if (gameState.answered) return;
-  gameState.answered = true;
+/** Opened from tools/relay.js, the page's own host is the relay */
+function getDefaultRelayUrl() {
+  if (location.port === String(RELAY_PORT)) return `ws://${location.host}`;
+  return `ws://${location.hostname || 'localhost'}:${RELAY_PORT}`;
+}
 
-  // Disable options during feedback
-  document.querySelectorAll('.option-btn').forEach((b) => (b.disabled = true));
-  const input = $('#answer-input');
-  if (input) input.disabled = true;
+function createRoomCode() {
+  const pick = () => ROOM_CODE_CHARS[Math.floor(Math.random() * ROOM_CODE_CHARS.length)];
+  return Array.from({ length: ROOM_CODE_LENGTH }, pick).join('');
+}
 
-  const correct = gameState.currentCountry.name;
-  const normalized = (s) => s.trim().toLowerCase().replace(/\s+/g, ' ');
-  const isCorrect = fuzzyMatch(normalized(selectedName), normalized(correct));
+function showMatchStatus(type, message) {
+  const el = $('#match-status');
+  el.className = `settings-status ${type}`;
+  el.textContent = message;
+  el.hidden = false;
+}
 
-  if (currentMode === 'normal' || currentMode === 'hard') {
-    if (isCorrect) {
-      processCorrect(gameState.currentCountry.code);
-      stats.totalCorrect++;
-    } else {
-      processIncorrect(gameState.currentCountry.code);
-      stats.totalWrong++;
-    }
-  }
+function pickPlayerStats(player) {
+  return Object.fromEntries(PLAYER_STATS.map((key) => [key, player[key]]));
+}
 
-  let xpGained = 0;
-  if (isCorrect) {
-    stats.currentStreak++;
-    if (stats.currentStreak > stats.longestStreak) {
-      stats.longestStreak = stats.currentStreak;
-    }
-    gameState.streak++;
-    xpGained = XP_BASE + (gameState.streak > 1 ? XP_STREAK_BONUS : 0);
-    addXP(xpGained);
-    gameState.score += xpGained;
-    showCorrectCelebration(xpGained);
-  } else {
-    stats.currentStreak = 0;
-    gameState.streak = 0;
-    addXP(XP_PENALTY);
-    gameState.score += XP_PENALTY;
+function sendToPeer(message) {
+  if (match?.socket?.readyState === WebSocket.OPEN) match.socket.send(JSON.stringify(message));
+}
 
-    // Reinforcement loop: wrong answers return multiple times this session.
-    scheduleSessionRetry(gameState.currentCountry);
+/** Host a new room or join one on the relay; the host sends the match once the opponent is in */
+function connectToRoom(host) {
+  leaveMatch();
+  const room = host ? createRoomCode() : $('#room-code').value.trim().toUpperCase();
+  if (!host && !new RegExp(`^[${ROOM_CODE_CHARS}]{${ROOM_CODE_LENGTH}}$`).test(room)) {
+    showMatchStatus('error', `Enter the ${ROOM_CODE_LENGTH}-character room code shown on the host's screen.`);
+    return;
   }
-
+  if (host && getMatchPool().length < 4) {
+    showMatchStatus('error', 'A match needs at least 4 flags in the pool.');
+    return;
+  }
+  const name = cleanPlayerName($('#versus-name').value) || 'Player';
+  settings.playerName = name;
+  settings.relayUrl = $('#relay-url').value.trim();
   saveData();
 
-  // In-place feedback: show red/green on options for ~1s, then auto-advance
-  showAnswerFeedback(isCorrect, correct, selectedName, () => {
-    if (isCorrect && STREAK_MILESTONES.includes(gameState.streak)) {
-      showStreakMilestone(gameState.streak, () => advanceToNextQuestion());
-    } else {
-      advanceToNextQuestion();
-    }
-  });
+  const url = settings.relayUrl || getDefaultRelayUrl();
+  let socket;
+  try {
+    socket = new WebSocket(`${url.replace(/\/+$/, '')}/?room=${room}`);
+  } catch (e) {
+    showMatchStatus('error', `Not a relay address: ${url}`);
+    return;
+  }
+  match = { socket, url, room, host, started: false, players: [createPlayer(name), createPlayer('Opponent')], questions: [] };
+  socket.onmessage = (e) => handlePeerMessage(socket, e.data);
+  socket.onclose = () => handleRelayClosed(socket);
+  showMatchStatus('info', host ? `Room ${room}: waiting for an opponent…` : `Joining room ${room}…`);
 }
 
-const STREAK_MESSAGES = {
-  5: 'On Fire!',
-  10: 'Unstoppable!',
-  20: 'Legendary!',
-  50: 'Master!',
-  100: 'Ultimate!',
-  150: 'Champion!',
-};
+/** Host: build the match and send what the guest needs to build the same one */
+function sendMatchSetup() {
+  const pool = getMatchPool();
+  const seed = createSeed();
+  match.questions = buildMatchQuestions(seed, pool, Number($('#match-length').value));
+  sendToPeer({
+    type: 'setup',
+    seed,
+    count: match.questions.length,
+    codes: pool.map((c) => c.code),
+    name: match.players[0].name,
+    checksum: getMatchChecksum(match.questions),
+  });
+}
 
-function showStreakMilestone(streak, onComplete) {
-  const overlay = $('#streak-milestone');
-  const text = $('#streak-milestone-text');
-  const sub = $('#streak-milestone-sub');
-  if (!overlay || !text) {
-    onComplete();
+/** Guest: rebuild the host's match from its seed and pool, or turn it down */
+function acceptMatchSetup(msg) {
+  const byCode = new Map(countries.map((c) => [c.code, c]));
+  const valid = isNumber(msg.seed) && Number.isInteger(msg.count) && Array.isArray(msg.codes);
+  const pool = valid ? msg.codes.map((code) => byCode.get(code)) : [];
+  if (!valid || pool.some((c) => !c)) {
+    rejectMatch('packs');
     return;
   }
-  text.textContent = `${streak} Streak!`;
-  if (sub) sub.textContent = STREAK_MESSAGES[streak] || 'Amazing!';
-  overlay.classList.add('active');
-  setTimeout(() => {
-    overlay.classList.remove('active');
-    onComplete();
-  }, 1100);
+  const questions = buildMatchQuestions(msg.seed, pool, msg.count);
+  if (getMatchChecksum(questions) !== msg.checksum) {
+    rejectMatch('version');
+    return;
+  }
+  match.questions = questions;
+  match.players[1].name = cleanPlayerName(msg.name) || 'Opponent';
+  sendToPeer({ type: 'ready', name: match.players[0].name });
+  beginVersus();
 }
 
-// ==================== Dashboard ====================
-
-function getMasteredCount() {
-  return countries.filter(
-    (c) => getCard(c.code).repetitions >= 3 && getCard(c.code).interval >= 21
-  ).length;
+function rejectMatch(reason) {
+  sendToPeer({ type: 'reject', reason });
+  showMatchStatus('error', MATCH_REJECT_MESSAGES[reason]);
+  leaveMatch();
 }
 
-function getLearningCount() {
-  return countries.filter(
-    (c) => getCard(c.code).repetitions > 0 && getCard(c.code).interval < 21
-  ).length;
+function beginVersus() {
+  match.started = true;
+  $('#match-status').hidden = true;
+  startMatch('versus', match.players, match.questions);
 }
 
-function getStrugglingCount() {
-  return countries.filter((c) => getCard(c.code).lapses >= 3).length;
+/** After each answer: this player's line on both devices' boards */
+function sendMatchProgress() {
+  const me = match.players[0];
+  Object.assign(me, {
+    score: gameState.score,
+    streak: gameState.streak,
+    bestStreak: gameState.bestStreak,
+    correct: gameState.correctCount,
+    answered: gameState.correctCount + gameState.missCount,
+  });
+  sendToPeer({ type: 'progress', ...pickPlayerStats(me) });
+  renderMatchBoard();
 }
 
-function getAccuracy() {
-  const total = stats.totalCorrect + stats.totalWrong;
-  if (total === 0) return '—';
-  return Math.round((stats.totalCorrect / total) * 100) + '%';
+function updateMatchView() {
+  renderMatchBoard();
+  if (gameState.finished) renderMatchResult();
 }
 
-function renderDashboard() {
-  $('#dash-mastered').textContent = getMasteredCount();
-  $('#dash-learning').textContent = getLearningCount();
-  $('#dash-struggling').textContent = getStrugglingCount();
-  $('#dash-longest').textContent = stats.longestStreak;
-  $('#dash-accuracy').textContent = getAccuracy();
-  $('#dash-due').textContent = getDueCount();
+/**
+ * Messages from the other device, plus the relay's own: 'peers' (how many are in
+ * the room) and 'full'. Anything malformed is ignored.
+ */
+function handlePeerMessage(socket, data) {
+  if (!match || match.socket !== socket) return;
+  let msg;
+  try {
+    msg = JSON.parse(data);
+  } catch (e) {
+    return;
+  }
+  if (!isPlainObject(msg)) return;
+  const opponent = match.players[1];
+  if (msg.type === 'peers' && match.started) {
+    if (msg.count < 2 && !opponent.done) {
+      opponent.left = true;
+      updateMatchView();
+    }
+  } else if (msg.type === 'peers') {
+    if (msg.count === 2 && match.host) sendMatchSetup();
+    else if (msg.count < 2 && !match.host) showMatchStatus('info', `Room ${match.room}: waiting for the host…`);
+  } else if (msg.type === 'full') {
+    showMatchStatus('error', `Room ${match.room} already has two players.`);
+    leaveMatch();
+  } else if (msg.type === 'setup' && !match.host && !match.started) {
+    acceptMatchSetup(msg);
+  } else if (msg.type === 'ready' && match.host && !match.started) {
+    opponent.name = cleanPlayerName(msg.name) || opponent.name;
+    beginVersus();
+  } else if (msg.type === 'reject' && !match.started) {
+    showMatchStatus('error', MATCH_REJECT_MESSAGES[msg.reason] || 'The other device turned down the match.');
+    leaveMatch();
+  } else if ((msg.type === 'progress' || msg.type === 'done') && match.started) {
+    PLAYER_STATS.forEach((key) => {
+      if (isNumber(msg[key])) opponent[key] = msg[key];
+    });
+    if (msg.type === 'done') opponent.done = true;
+    updateMatchView();
+  }
+}
 
-  const continents = [...new Set(countries.map((c) => c.continent))];
-  const container = $('#continent-stats');
-  container.innerHTML = continents
-    .map(
-      (cont) =>
-        `<div class="continent-stat">${cont}: ${countries.filter((c) => c.continent === cont).length} countries</div>`
-    )
-    .join('');
+/** The relay went away (or never answered); leaving on purpose clears `match` first */
+function handleRelayClosed(socket) {
+  if (!match || match.socket !== socket) return;
+  if (!match.started) {
+    showMatchStatus('error', `Couldn't reach the relay at ${match.url}. Is tools/relay.js running?`);
+    match = null;
+    return;
+  }
+  const opponent = match.players[1];
+  if (!opponent.done) opponent.left = true;
+  updateMatchView();
 }
 
 // ==================== Init & Event Listeners ====================
 
 async function init() {
-  const res = await fetch('data/countries.json');
-  countries = await res.json();
-  loadData();
+  await loadBundledPacks();
+  // Saved data is migrated against the core pack alone; the enabled packs come from settings
+  refreshPacks();
+  await Promise.all([loadData(), loadFlagSimilarity()]);
 
-  updateMenuStats();
+  applyPacks();
+  renderProfilePicker();
+  $('#load-notice').hidden = loadFailures.length === 0;
   $('#loading-overlay').classList.remove('active');
+  registerServiceWorker();
 
   // Mode buttons
   document.querySelectorAll('.mode-btn').forEach((btn) => {
@@ -681,28 +5194,79 @@ async function init() {
       const mode = btn.dataset.mode;
       if (mode === 'continent') {
         showScreen('continent-select');
+      } else if (mode === 'geography') {
+        $('#typed-answers-toggle').checked = settings.typedAnswers;
+        showScreen('geography-select');
       } else if (mode === 'timed') {
+        renderTimedOptions();
         showScreen('timed-select');
+      } else if (mode === 'multiplayer') {
+        openMatchSetup();
       } else {
         startGame(mode);
       }
     });
   });
 
-  document.querySelectorAll('.continent-btn').forEach((btn) => {
-    btn.addEventListener('click', () => {
-      gameState.selectedContinent = btn.dataset.continent;
-      startGame('continent');
-    });
+  document.querySelectorAll('.geo-btn').forEach((btn) => {
+    btn.addEventListener('click', () => startGame(btn.dataset.mode));
+  });
+
+  $('#typed-answers-toggle').addEventListener('change', (e) => {
+    settings.typedAnswers = e.target.checked;
+    saveData();
+  });
+
+  $('#group-grid').addEventListener('click', (e) => {
+    const btn = e.target.closest('.continent-btn');
+    if (!btn) return;
+    gameState.selectedGroup = btn.dataset.group;
+    startGame('continent');
   });
 
-  document.querySelectorAll('.timed-btn').forEach((btn) => {
+  document.querySelectorAll('#timed-select .variant-btn').forEach((btn) => {
     btn.addEventListener('click', () => {
-      gameState.timerSeconds = parseInt(btn.dataset.seconds, 10);
-      startGame('timed');
+      gameState.timedVariant = btn.dataset.variant;
+      renderTimedOptions();
     });
   });
 
+  $('#timed-options').addEventListener('click', (e) => {
+    const btn = e.target.closest('.timed-btn');
+    if (btn) startTimedRun(parseInt(btn.dataset.value, 10));
+  });
+
+  $('#match-length').innerHTML = MATCH_LENGTHS.map((n) => `<option value="${n}">${n} flags</option>`).join('');
+  document.querySelectorAll('#match-select .variant-btn').forEach((btn) => {
+    btn.addEventListener('click', () => showMatchTab(btn.dataset.tab));
+  });
+  $('#add-player').addEventListener('click', () => renderPlayerFields([...readPlayerNames(), '']));
+  $('#player-list').addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-remove]');
+    if (!btn) return;
+    const names = readPlayerNames();
+    names.splice(Number(btn.dataset.remove), 1);
+    renderPlayerFields(names);
+  });
+  $('#party-setup').addEventListener('submit', (e) => {
+    e.preventDefault();
+    startPartyMatch();
+  });
+  $('#versus-host').addEventListener('click', () => connectToRoom(true));
+  $('#versus-join').addEventListener('click', () => connectToRoom(false));
+  $('#match-back').addEventListener('click', () => {
+    leaveMatch();
+    showScreen('main-menu');
+  });
+  $('#turn-ready').addEventListener('click', () => $('#turn-overlay').classList.remove('active'));
+
+  $('#timed-custom').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const input = $('#timed-custom-value');
+    const value = parseInt(input.value, 10);
+    if (Number.isInteger(value)) startTimedRun(clamp(value, Number(input.min), Number(input.max)));
+  });
+
   document.querySelectorAll('[data-back]').forEach((btn) => {
     btn.addEventListener('click', () => showScreen(btn.dataset.back));
   });
@@ -712,36 +5276,258 @@ async function init() {
     showScreen('dashboard');
   });
 
+  $('#continent-stats').addEventListener('click', (e) => {
+    const tile = e.target.closest('.continent-stat');
+    if (tile) renderGroupDetail(tile.dataset.group);
+  });
+
+  $('#continent-detail-close').addEventListener('click', () => {
+    $('#continent-detail').hidden = true;
+    document.querySelectorAll('.continent-stat').forEach((el) => el.classList.remove('selected'));
+  });
+
+  $('#continent-detail-study').addEventListener('click', (e) => {
+    gameState.selectedGroup = e.currentTarget.dataset.group;
+    // The dashboard's group view covers the whole group, not the active deck
+    gameState.selectedDeck = null;
+    renderDeckSelect();
+    startGame('continent');
+  });
+
   $('#btn-settings').addEventListener('click', () => showScreen('settings'));
 
-  $('#sound-toggle').checked = settings.soundEnabled;
+  renderDeckSelect();
+  $('#deck-select').addEventListener('change', (e) => {
+    gameState.selectedDeck = e.target.value || null;
+  });
+
+  $('#btn-decks').addEventListener('click', () => {
+    renderDeckList();
+    closeDeckEditor();
+    showScreen('decks');
+  });
+
+  $('#deck-list').addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-action]');
+    if (!btn) return;
+    const id = btn.closest('.deck-item').dataset.id;
+    if (btn.dataset.action === 'study') {
+      gameState.selectedDeck = id;
+      renderDeckSelect();
+      showScreen('main-menu');
+    } else if (btn.dataset.action === 'edit') {
+      openDeckEditor(getDeck(id));
+    } else {
+      deleteDeck(id);
+    }
+  });
+
+  $('#profile-picker').addEventListener('click', (e) => {
+    const chip = e.target.closest('.profile-chip');
+    if (chip) useProfile(chip.dataset.id);
+  });
+
+  $('#profile-avatars').innerHTML = PROFILE_AVATARS.map(
+    (a) => `<label class="chip"><input type="radio" name="profile-avatar" value="${a}"><span>${a}</span></label>`
+  ).join('');
+
+  $('#btn-profiles').addEventListener('click', () => {
+    renderProfileList();
+    closeProfileEditor();
+    showScreen('profiles');
+  });
+
+  $('#profile-list').addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-action]');
+    if (!btn) return;
+    const id = btn.closest('.deck-item').dataset.id;
+    if (btn.dataset.action === 'use') {
+      useProfile(id);
+    } else if (btn.dataset.action === 'edit') {
+      openProfileEditor(getProfile(id));
+    } else if (btn.dataset.action === 'copy') {
+      copyProfile(id);
+    } else {
+      deleteProfile(id);
+    }
+  });
+
+  $('#profile-new').addEventListener('click', () => openProfileEditor());
+  $('#profile-cancel').addEventListener('click', closeProfileEditor);
+  $('#profile-editor').addEventListener('submit', (e) => {
+    e.preventDefault();
+    saveProfileFromEditor();
+  });
+
+  $('#deck-new').addEventListener('click', () => openDeckEditor());
+  $('#deck-cancel').addEventListener('click', closeDeckEditor);
+  $('#deck-editor').addEventListener('change', updateDeckEditor);
+  $('#deck-search').addEventListener('input', filterDeckPicks);
+  $('#deck-editor').addEventListener('submit', (e) => {
+    e.preventDefault();
+    saveDeckFromEditor();
+  });
+
+  syncSettingsUI();
   $('#sound-toggle').addEventListener('change', (e) => {
     settings.soundEnabled = e.target.checked;
+    $('#volume-slider').disabled = !settings.soundEnabled;
+    saveData();
+  });
+
+  $('#volume-slider').addEventListener('input', (e) => {
+    setVolume(parseInt(e.target.value, 10) / 100);
+  });
+  $('#volume-slider').addEventListener('change', () => {
+    playSound('correct');
+    saveData();
+  });
+
+  document.addEventListener('pointerdown', unlockAudio, { once: true });
+  document.addEventListener('keydown', unlockAudio, { once: true });
+
+  $('#self-rating-toggle').addEventListener('change', (e) => {
+    settings.selfRating = e.target.checked;
+    saveData();
+  });
+
+  $('#autocomplete-toggle').addEventListener('change', (e) => {
+    settings.autocomplete = e.target.checked;
+    saveData();
+  });
+
+  $('#tier-order-select').addEventListener('change', (e) => {
+    settings.tierOrder = e.target.value;
+    saveData();
+  });
+
+  $('#scheduler-select').addEventListener('change', (e) => {
+    const converted = switchScheduler(e.target.value);
+    syncSchedulerUI();
+    showSettingsStatus('success', `Switched to ${getScheduler().label}; ${converted} cards converted.`);
+  });
+
+  $('#retention-slider').addEventListener('input', (e) => {
+    settings.desiredRetention = clamp(parseInt(e.target.value, 10) / 100, RETENTION_MIN, RETENTION_MAX);
+    syncSchedulerUI();
+  });
+  $('#retention-slider').addEventListener('change', () => saveData());
+
+  for (const [id, key] of [
+    ['#learning-steps', 'learningSteps'],
+    ['#relearning-steps', 'relearningSteps'],
+  ]) {
+    $(id).addEventListener('change', (e) => {
+      const steps = parseSteps(e.target.value);
+      if (steps) {
+        settings[key] = steps;
+        saveData();
+      } else {
+        showSettingsStatus('error', 'Steps are durations separated by spaces, like "1m 10m 1h".');
+      }
+      e.target.value = formatSteps(settings[key]);
+    });
+  }
+
+  for (const [id, key, min, max] of [
+    ['#graduating-interval', 'graduatingInterval', 1, MAX_GRADUATING_INTERVAL],
+    ['#easy-interval', 'easyInterval', 1, MAX_GRADUATING_INTERVAL],
+    ['#lapse-multiplier', 'lapseMultiplier', 0, 1],
+    ['#new-per-day', 'newPerDay', 0, MAX_DAILY_LIMIT],
+    ['#reviews-per-day', 'reviewsPerDay', 0, MAX_DAILY_LIMIT],
+  ]) {
+    $(id).addEventListener('change', (e) => {
+      const value = parseFloat(e.target.value);
+      if (Number.isFinite(value)) {
+        settings[key] = clamp(key === 'lapseMultiplier' ? value : Math.round(value), min, max);
+        saveData();
+      }
+      e.target.value = settings[key];
+    });
+  }
+
+  $('#load-balance-toggle').addEventListener('change', (e) => {
+    settings.loadBalance = e.target.checked;
+    saveData();
+  });
+
+  $('#optimize-fsrs').addEventListener('click', runFsrsOptimizer);
+  $('#reset-fsrs').addEventListener('click', () => {
+    settings.fsrsWeights = null;
     saveData();
+    syncSchedulerUI();
   });
 
   $('#reset-progress').addEventListener('click', () => {
     if (confirm('Reset all progress? This cannot be undone.')) {
       cards = {};
-      stats = {
-        totalScore: 0,
-        currentStreak: 0,
-        longestStreak: 0,
-        totalCorrect: 0,
-        totalWrong: 0,
-        xp: 0,
-        level: 1,
-      };
+      reviews = [];
+      confusions = {};
+      leaderboard = {};
+      stats = { ...DEFAULT_STATS };
       saveData();
       updateMenuStats();
       showScreen('main-menu');
     }
   });
 
+  $('#export-backup').addEventListener('click', exportBackup);
+  $('#import-backup').addEventListener('click', () => $('#import-file').click());
+  $('#import-file').addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) handleImportFile(file);
+  });
+  $('#pack-list').addEventListener('change', (e) => {
+    setPackEnabled(e.target.closest('.pack-item').dataset.id, e.target.checked);
+  });
+  $('#pack-list').addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-action="remove"]');
+    if (btn) removePack(btn.closest('.pack-item').dataset.id);
+  });
+  $('#import-pack').addEventListener('click', () => $('#pack-file').click());
+  $('#pack-file').addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) handlePackFile(file);
+  });
+
+  $('#export-apkg').addEventListener('click', exportAnkiPackage);
+  $('#export-tsv').addEventListener('click', exportAnkiTsv);
+  $('#import-merge').addEventListener('click', () => finishImport('merge'));
+  $('#import-replace').addEventListener('click', () => {
+    if (confirm('Replace all current progress with this backup?')) finishImport('replace');
+  });
+  $('#import-cancel').addEventListener('click', () => {
+    pendingImport = null;
+    $('#import-panel').hidden = true;
+  });
+
+  $('#load-notice-restore').addEventListener('click', () => showScreen('settings'));
+
+  // Don't lose a pending debounced save when the tab is hidden or closed
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flushSave();
+  });
+  window.addEventListener('pagehide', flushSave);
+
   $('#game-back').addEventListener('click', (e) => {
     e.preventDefault();
     e.stopPropagation();
-    if (currentMode === 'timed') stopTimer();
+    const endlessRun = currentMode === 'endless' && gameState.correctCount + gameState.missCount > 0;
+    if (endlessRun && !gameState.finished) {
+      // Quitting is how an endless run ends: show its result and leaderboard first
+      activeImageRequestId++;
+      hideSelfRating();
+      hideSuggestions();
+      showComplete();
+      return;
+    }
+    stopTimer();
+    leaveMatch();
+    activeImageRequestId++;
+    hideSelfRating();
+    hideSuggestions();
     document.querySelectorAll('.overlay').forEach((o) => o.classList.remove('active'));
     $('#round-result').classList.remove('show-correct', 'show-wrong');
     updateMenuStats();
@@ -750,22 +5536,41 @@ async function init() {
 
   document.querySelectorAll('.option-btn').forEach((btn) => {
     btn.addEventListener('click', () => {
-      checkAnswer(btn.textContent);
+      const option = gameState.options[btn.dataset.index];
+      if (!option) return;
+      if (currentMode === 'party') pickTurnAnswer(getAnswerText(option));
+      else checkAnswer(getAnswerText(option));
     });
   });
 
-  $('#submit-answer').addEventListener('click', () => {
-    checkAnswer($('#answer-input').value);
-  });
+  $('#submit-answer').addEventListener('click', submitTypedAnswer);
 
   $('#answer-input').addEventListener('keydown', (e) => {
-    if (e.key === 'Enter') checkAnswer($('#answer-input').value);
+    if (handleAutocompleteKey(e)) {
+      e.preventDefault();
+      return;
+    }
+    if (e.key === 'Enter') submitTypedAnswer();
+  });
+
+  $('#answer-input').addEventListener('input', updateAutocomplete);
+  $('#answer-input').addEventListener('blur', hideAutocomplete);
+
+  document.querySelectorAll('.hint-btn').forEach((btn) => {
+    btn.dataset.label = btn.textContent;
+    btn.addEventListener('click', () => revealHint(btn.dataset.hint));
   });
 
+  $('#did-you-mean-dismiss').addEventListener('click', () => checkAnswer($('#answer-input').value));
+
   document.addEventListener('keydown', (e) => {
     if (!$('#game-screen').classList.contains('active')) return;
-    if (currentMode === 'hard') return;
     const num = parseInt(e.key, 10);
+    if (isSelfRatingVisible()) {
+      if (num >= 1 && num <= 4) $(`.rating-btn[data-key="${num}"]`).click();
+      return;
+    }
+    if (isTypedRound()) return;
     if (num >= 1 && num <= 4) {
       const btn = $(`.option-btn[data-index="${num - 1}"]`);
       if (btn && !btn.disabled) btn.click();
@@ -773,6 +5578,7 @@ async function init() {
   });
 
   $('#complete-continue').addEventListener('click', () => {
+    leaveMatch();
     $('#complete-overlay').classList.remove('active');
     updateMenuStats();
     showScreen('main-menu');
@@ -781,8 +5587,11 @@ async function init() {
 
 function startGame(mode) {
   currentMode = mode;
-  const prevContinent = gameState?.selectedContinent;
+  const prevGroup = gameState?.selectedGroup;
+  const prevDeck = gameState?.selectedDeck ?? null;
   const prevTimerSeconds = gameState?.timerSeconds || 0;
+  const prevVariant = gameState?.timedVariant || 'clock';
+  const prevTarget = gameState?.raceTarget || RACE_TARGETS[0];
   gameState = {
     queue: buildQueue(),
     retryQueue: [],
@@ -793,12 +5602,32 @@ function startGame(mode) {
     questionCount: 0,
     timer: null,
     timerSeconds: prevTimerSeconds,
+    timedVariant: prevVariant,
+    raceTarget: prevTarget,
+    clockStartedAt: 0,
+    penaltyMs: 0,
+    correctCount: 0,
+    missCount: 0,
+    bestStreak: 0,
+    finished: false,
     answered: false,
-    selectedContinent: prevContinent,
+    flagReady: false,
+    flagFailures: {},
+    isRetry: false,
+    roundStartedAt: 0,
+    suggestedFor: null,
+    assists: [],
+    selectedGroup: prevGroup,
+    selectedDeck: prevDeck,
   };
   $('#game-timer').textContent = '';
+  // Matches keep score per player on the board instead
+  $('#match-board').hidden = !match;
+  $('#game-score').hidden = currentMode === 'party';
+  $('#game-streak').hidden = currentMode === 'party';
   showScreen('game-screen');
   nextRound();
+  if (currentMode === 'timed') startTimer();
 }
 
 init();
@@ -0,0 +1,98 @@
+/**
+ * Mo Flag Knowledge - Service Worker
+ * Precaches the app shell, country data, content packs, the world map and every bundled flag so study works offline.
+ * Bump CACHE_VERSION whenever a precached file changes; the page then offers a reload.
+ */
+
+const CACHE_VERSION = 'v32';
+const PRECACHE = `flagmaster-precache-${CACHE_VERSION}`;
+const RUNTIME = 'flagmaster-runtime';
+const APP_SHELL = [
+  './',
+  'index.html',
+  'style.css',
+  'script.js',
+  'data/countries.json',
+  'data/similarity.json',
+  'data/packs/index.json',
+  'assets/map/world.svg',
+  'manifest.webmanifest',
+  'assets/icons/icon.svg',
+  'assets/icons/icon-192.png',
+  'assets/icons/icon-512.png',
+];
+// Cross-origin assets cached as they are used (fonts, CDN flag fallbacks, pack images)
+const RUNTIME_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com', 'flagcdn.com'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(PRECACHE);
+      await cache.addAll(APP_SHELL);
+      // Packs and their flags come from the pack index so they never drift from the data files
+      const packUrls = await (await cache.match('data/packs/index.json')).json();
+      await cache.addAll(packUrls);
+      const flags = [];
+      for (const url of packUrls) {
+        const pack = await (await cache.match(url)).json();
+        const entries = typeof pack.entries === 'string' ? await (await cache.match(pack.entries)).json() : pack.entries;
+        // Entries with their own image are cached as they are used
+        flags.push(...entries.filter((e) => !e.image).map((e) => `assets/flags/${e.code.toLowerCase()}.svg`));
+      }
+      await cache.addAll(flags);
+    })()
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    (async () => {
+      const keys = await caches.keys();
+      await Promise.all(
+        keys
+          .filter((key) => key.startsWith('flagmaster-precache-') && key !== PRECACHE)
+          .map((key) => caches.delete(key))
+      );
+      await self.clients.claim();
+    })()
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    event.respondWith(cacheFirst(request));
+  } else if (RUNTIME_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
+
+async function cacheFirst(request) {
+  const cache = await caches.open(PRECACHE);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  if (cached) return cached;
+  if (request.mode === 'navigate') {
+    const shell = await cache.match('index.html');
+    if (shell) return shell;
+  }
+  return fetch(request);
+}
+
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(RUNTIME);
+  const cached = await cache.match(request);
+  const network = fetch(request)
+    .then((res) => {
+      if (res.ok || res.type === 'opaque') cache.put(request, res.clone());
+      return res;
+    })
+    .catch(() => cached);
+  return cached || network;
+}
@@ -0,0 +1,146 @@
+/**
+ * Mo Flag Knowledge - World map build step
+ * Projects Natural Earth country outlines (via world-atlas) to an equirectangular
+ * SVG and writes assets/map/world.svg: one path per country in countries.json,
+ * id'd by its code, plus unlabelled land for territories the game doesn't ask about.
+ * Map questions load it once and zoom to the highlighted country's data-box.
+ *
+ * Run after adding countries (needs the map data, not shipped with the app):
+ *   npm install --no-save world-atlas topojson-client world-countries
+ *   node tools/build-map.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { feature } = require('topojson-client');
+const atlas = require('world-atlas/countries-50m.json');
+const worldCountries = require('world-countries');
+
+const ROOT = path.join(__dirname, '..');
+const OUTPUT = path.join(ROOT, 'assets', 'map', 'world.svg');
+const SCALE = 4; // px per degree; MAP_DEGREE_PX in script.js must match
+const LAT_TOP = 84;
+const LAT_BOTTOM = -58; // Antarctica is left out
+const PRECISION = 1; // decimals kept; 0.1px at this scale is ~0.025°
+const MIN_STEP = 1; // px; closer points are dropped so the file stays small
+const MAIN_LAND_SHARE = 0.25; // rings this share of a country's largest count toward its zoom box
+
+const project = ([lng, lat]) => [(lng + 180) * SCALE, (LAT_TOP - lat) * SCALE];
+const round = (v) => Number(v.toFixed(PRECISION));
+
+/** Points of a ring at least `step` px apart */
+function thin(ring, step) {
+  const points = [];
+  for (const coord of ring) {
+    const [x, y] = project(coord);
+    const last = points[points.length - 1];
+    if (!last || Math.hypot(x - last[0], y - last[1]) >= step) points.push([x, y]);
+  }
+  return points;
+}
+
+/** Path data for one ring; '' if thinning collapses it */
+function ringPath(ring, step) {
+  const points = thin(ring, step);
+  if (points.length < 3) return '';
+  return `M${points.map(([x, y]) => `${round(x)} ${round(y)}`).join('L')}Z`;
+}
+
+function polygons(geometry) {
+  if (!geometry) return [];
+  return geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+}
+
+/**
+ * Rings cut by the antimeridian (Russia, Fiji) jump from 180° to -180°; split them
+ * there so each piece closes along its own map edge instead of across the map
+ */
+function splitAtAntimeridian(ring) {
+  const pieces = [[]];
+  ring.forEach((coord, i) => {
+    if (i && Math.abs(coord[0] - ring[i - 1][0]) > 180) pieces.push([]);
+    pieces[pieces.length - 1].push(coord);
+  });
+  // The ring's last piece continues into its first
+  if (pieces.length > 1) pieces[0] = [...pieces.pop(), ...pieces[0]];
+  return pieces;
+}
+
+function ringArea(ring) {
+  const points = ring.map(project);
+  let sum = 0;
+  points.forEach(([x, y], i) => {
+    const [nx, ny] = points[(i + 1) % points.length];
+    sum += x * ny - nx * y;
+  });
+  return Math.abs(sum) / 2;
+}
+
+/**
+ * Bounding box of the main landmasses, as [x, y, width, height]. Outlying islands
+ * are left out, and longitudes are taken within 180° of the largest one so a
+ * country across the antimeridian gets a box past the map edge, not one spanning it.
+ */
+function boundingBox(rings) {
+  const areas = rings.map(ringArea);
+  const largest = Math.max(...areas);
+  const anchor = rings[areas.indexOf(largest)];
+  const lngs = anchor.map(([lng]) => lng);
+  const centerLng = (Math.min(...lngs) + Math.max(...lngs)) / 2;
+  const xs = [];
+  const ys = [];
+  const main = rings.filter((ring, i) => areas[i] >= largest * MAIN_LAND_SHARE);
+  main.forEach((ring) => ring.forEach(([lng, lat]) => {
+    const [x, y] = project([lng + 360 * Math.round((centerLng - lng) / 360), lat]);
+    xs.push(x);
+    ys.push(y);
+  }));
+  const [x0, y0] = [Math.min(...xs), Math.min(...ys)];
+  return [x0, y0, Math.max(...xs) - x0, Math.max(...ys) - y0].map(round);
+}
+
+function main() {
+  const countries = JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'countries.json'), 'utf8'));
+  const codeByNumeric = new Map(worldCountries.map((c) => [c.ccn3, c.cca2]));
+  const wanted = new Set(countries.map((c) => c.code));
+  const shapes = feature(atlas, atlas.objects.countries).features;
+
+  const paths = [];
+  const drawn = new Set();
+  for (const shape of shapes) {
+    const rings = polygons(shape.geometry).flat().flatMap(splitAtAntimeridian);
+    // Countries made only of tiny islands keep full detail rather than vanish
+    let step = MIN_STEP;
+    let kept = rings.filter((ring) => ringPath(ring, step));
+    if (!kept.length) {
+      step = 10 ** -PRECISION;
+      kept = rings.filter((ring) => ringPath(ring, step));
+    }
+    const d = kept.map((ring) => ringPath(ring, step)).join('');
+    if (!d) continue;
+    const code = codeByNumeric.get(shape.id);
+    if (wanted.has(code)) {
+      paths.push(`  <path id="${code}" data-box="${boundingBox(kept).join(' ')}" d="${d}"/>`);
+      drawn.add(code);
+    } else {
+      paths.push(`  <path class="land" d="${d}"/>`);
+    }
+  }
+  // Country paths after plain land, so a highlighted outline is never painted over
+  paths.sort((a, b) => (a.includes('class="land"') ? 0 : 1) - (b.includes('class="land"') ? 0 : 1));
+
+  const width = 360 * SCALE;
+  const height = (LAT_TOP - LAT_BOTTOM) * SCALE;
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}">
+<!-- Generated by tools/build-map.js from Natural Earth via world-atlas (public domain / ISC) -->
+${paths.join('\n')}
+</svg>
+`;
+  fs.mkdirSync(path.dirname(OUTPUT), { recursive: true });
+  fs.writeFileSync(OUTPUT, svg);
+  const missing = countries.filter((c) => !drawn.has(c.code)).map((c) => c.code);
+  console.log(`Wrote ${path.relative(ROOT, OUTPUT)} with ${drawn.size} countries (${Math.round(svg.length / 1024)} KB)`);
+  if (missing.length) console.log(`No outline, shown by marker only: ${missing.join(', ')}`);
+}
+
+main();
@@ -0,0 +1,174 @@
+/**
+ * Mo Flag Knowledge - Visual similarity build step
+ * Rasterizes every bundled flag and writes data/similarity.json: for each country,
+ * the most similar-looking flags with a 0-1 score. getDistractors reads it and falls
+ * back to the colors/layout heuristic when it is missing.
+ *
+ * Run after adding or changing flags (needs a rasterizer, not shipped with the app):
+ *   npm install --no-save @resvg/resvg-js
+ *   node tools/build-similarity.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Resvg } = require('@resvg/resvg-js');
+
+const ROOT = path.join(__dirname, '..');
+const OUTPUT = path.join(ROOT, 'data', 'similarity.json');
+const WIDTH = 64; // flag-icons SVGs are 4:3, so 64x48
+const HISTOGRAM_LEVELS = 4; // per channel -> 64 color bins
+const HASH_SIZE = 32; // grayscale size the DCT runs on
+const HASH_BITS = 8; // low-frequency 8x8 block, DC term dropped
+const GRID = [8, 6]; // coarse color layout cells
+const FLIP_PENALTY = 0.95; // mirrored layouts (Poland/Indonesia) are close but not identical
+const NEIGHBORS = 20;
+const WEIGHTS = { histogram: 0.4, hash: 0.25, layout: 0.35 };
+
+function rasterize(file) {
+  const image = new Resvg(fs.readFileSync(file), {
+    fitTo: { mode: 'width', value: WIDTH },
+    background: 'white',
+  }).render();
+  return { width: image.width, height: image.height, rgba: image.pixels };
+}
+
+function pixel(img, x, y) {
+  const i = (y * img.width + x) * 4;
+  return [img.rgba[i], img.rgba[i + 1], img.rgba[i + 2]];
+}
+
+/** Mean color of each pixel block, as a w x h grid of [r, g, b] */
+function downscale(img, w, h) {
+  const cells = [];
+  for (let gy = 0; gy < h; gy++) {
+    for (let gx = 0; gx < w; gx++) {
+      const x0 = Math.floor((gx * img.width) / w);
+      const x1 = Math.max(x0 + 1, Math.floor(((gx + 1) * img.width) / w));
+      const y0 = Math.floor((gy * img.height) / h);
+      const y1 = Math.max(y0 + 1, Math.floor(((gy + 1) * img.height) / h));
+      const sum = [0, 0, 0];
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          pixel(img, x, y).forEach((v, c) => (sum[c] += v));
+        }
+      }
+      const n = (x1 - x0) * (y1 - y0);
+      cells.push(sum.map((v) => v / n));
+    }
+  }
+  return cells;
+}
+
+function colorHistogram(img) {
+  const bins = new Array(HISTOGRAM_LEVELS ** 3).fill(0);
+  const bin = (v) => Math.min(HISTOGRAM_LEVELS - 1, Math.floor((v / 256) * HISTOGRAM_LEVELS));
+  const total = img.width * img.height;
+  for (let y = 0; y < img.height; y++) {
+    for (let x = 0; x < img.width; x++) {
+      const [r, g, b] = pixel(img, x, y);
+      bins[(bin(r) * HISTOGRAM_LEVELS + bin(g)) * HISTOGRAM_LEVELS + bin(b)] += 1 / total;
+    }
+  }
+  return bins;
+}
+
+/** Perceptual hash: sign of low-frequency DCT coefficients against their median */
+function perceptualHash(img) {
+  const gray = downscale(img, HASH_SIZE, HASH_SIZE).map(([r, g, b]) => 0.299 * r + 0.587 * g + 0.114 * b);
+  const coeffs = [];
+  for (let u = 0; u < HASH_BITS; u++) {
+    for (let v = 0; v < HASH_BITS; v++) {
+      if (u === 0 && v === 0) continue;
+      let sum = 0;
+      for (let y = 0; y < HASH_SIZE; y++) {
+        for (let x = 0; x < HASH_SIZE; x++) {
+          sum +=
+            gray[y * HASH_SIZE + x] *
+            Math.cos(((2 * x + 1) * v * Math.PI) / (2 * HASH_SIZE)) *
+            Math.cos(((2 * y + 1) * u * Math.PI) / (2 * HASH_SIZE));
+        }
+      }
+      coeffs.push(sum);
+    }
+  }
+  const median = [...coeffs].sort((a, b) => a - b)[Math.floor(coeffs.length / 2)];
+  return coeffs.map((c) => (c > median ? 1 : 0));
+}
+
+function flipGrid(cells, horizontal) {
+  const [w, h] = GRID;
+  return cells.map((_, i) => {
+    const x = i % w;
+    const y = Math.floor(i / w);
+    return horizontal ? cells[y * w + (w - 1 - x)] : cells[(h - 1 - y) * w + x];
+  });
+}
+
+function histogramSimilarity(a, b) {
+  return a.reduce((sum, v, i) => sum + Math.min(v, b[i]), 0);
+}
+
+/** 1 for identical hashes, 0 at the ~50% bit agreement two unrelated images have */
+function hashSimilarity(a, b) {
+  const same = a.filter((bit, i) => bit === b[i]).length / a.length;
+  return Math.max(0, (same - 0.5) * 2);
+}
+
+function layoutSimilarity(a, b) {
+  const maxDistance = 255 * Math.sqrt(3);
+  const distance = (x, y) =>
+    x.reduce((sum, cell, i) => sum + Math.hypot(...cell.map((v, c) => v - y[i][c])), 0) / x.length;
+  const direct = 1 - distance(a, b) / maxDistance;
+  const mirrored = 1 - Math.min(distance(a, flipGrid(b, true)), distance(a, flipGrid(b, false))) / maxDistance;
+  return Math.max(direct, mirrored * FLIP_PENALTY);
+}
+
+function similarity(a, b) {
+  return (
+    WEIGHTS.histogram * histogramSimilarity(a.histogram, b.histogram) +
+    WEIGHTS.hash * hashSimilarity(a.hash, b.hash) +
+    WEIGHTS.layout * layoutSimilarity(a.layout, b.layout)
+  );
+}
+
+function main() {
+  const countries = JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'countries.json'), 'utf8'));
+  const features = new Map();
+  for (const { code } of countries) {
+    const file = path.join(ROOT, 'assets', 'flags', `${code.toLowerCase()}.svg`);
+    if (!fs.existsSync(file)) {
+      console.warn(`No bundled flag for ${code}, skipping`);
+      continue;
+    }
+    const img = rasterize(file);
+    features.set(code, {
+      histogram: colorHistogram(img),
+      hash: perceptualHash(img),
+      layout: downscale(img, ...GRID),
+    });
+  }
+
+  const codes = [...features.keys()].sort();
+  const lines = codes.map((code) => {
+    const neighbors = codes
+      .filter((other) => other !== code)
+      .map((other) => [other, Math.round(similarity(features.get(code), features.get(other)) * 1000) / 1000])
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, NEIGHBORS);
+    return `    ${JSON.stringify(code)}: ${JSON.stringify(neighbors)}`;
+  });
+
+  // One country per line keeps regenerated files reviewable in diffs
+  const json = `{
+  "version": 1,
+  "method": ${JSON.stringify({ size: [WIDTH, WIDTH * 0.75], weights: WEIGHTS, neighbors: NEIGHBORS })},
+  "neighbors": {
+${lines.join(',\n')}
+  }
+}
+`;
+  fs.writeFileSync(OUTPUT, json);
+  console.log(`Wrote ${path.relative(ROOT, OUTPUT)} for ${codes.length} flags`);
+}
+
+main();
@@ -0,0 +1,204 @@
+/**
+ * Mo Flag Knowledge - Head-to-head relay
+ * Serves the app and passes messages between the two browsers of a head-to-head
+ * match, so it runs on a LAN with no outside service. Each match is a room of two;
+ * whatever one player sends (the match seed, progress, the final score) goes to the
+ * other as is. The game itself runs in the browsers.
+ *
+ * No dependencies. Run it on one machine, then open http://<its LAN address>:8787
+ * on every device that plays:
+ *   node tools/relay.js [port]
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const PORT = Number(process.argv[2] || process.env.PORT) || 8787; // RELAY_PORT in script.js must match
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'; // RFC 6455 handshake constant
+const ROOM_SIZE = 2;
+const ROOM_PATTERN = /^[A-Z0-9]{4,8}$/;
+const MAX_MESSAGE_BYTES = 64 * 1024; // a setup message lists the pool's codes; nothing else comes close
+const OPCODES = { continuation: 0x0, text: 0x1, close: 0x8, ping: 0x9, pong: 0xa };
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.mp3': 'audio/mpeg',
+};
+
+const rooms = new Map(); // room code -> Set of sockets
+
+// ==================== Static files ====================
+
+/** The app's files; dotfiles (.git) and anything outside the repo are not served */
+function serveFile(req, res) {
+  let urlPath;
+  try {
+    urlPath = decodeURIComponent(new URL(req.url, 'http://relay').pathname);
+  } catch (e) {
+    urlPath = null;
+  }
+  const file = path.join(ROOT, urlPath === '/' ? 'index.html' : urlPath || '');
+  const inside = file.startsWith(ROOT + path.sep) && !path.relative(ROOT, file).split(path.sep).some((p) => p.startsWith('.'));
+  if (!urlPath || !inside || req.method !== 'GET') {
+    res.writeHead(404).end();
+    return;
+  }
+  fs.readFile(file, (err, body) => {
+    if (err) {
+      res.writeHead(404).end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream' });
+    res.end(body);
+  });
+}
+
+// ==================== WebSocket framing ====================
+
+/** One unmasked server frame (servers never mask) */
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header.writeUInt16BE(payload.length, 2);
+    header[1] = 126;
+  } else {
+    header = Buffer.alloc(10);
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+    header[1] = 127;
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * The first complete frame in `buffer`, as { fin, opcode, payload, length }, or null
+ * if more bytes are needed. Client frames are always masked.
+ */
+function decodeFrame(buffer) {
+  if (buffer.length < 2) return null;
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let size = buffer[1] & 0x7f;
+  let offset = 2;
+  if (size === 126) {
+    if (buffer.length < 4) return null;
+    size = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (size === 127) {
+    if (buffer.length < 10) return null;
+    size = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+  if (!masked || size > MAX_MESSAGE_BYTES) return { error: true };
+  if (buffer.length < offset + 4 + size) return null;
+  const mask = buffer.subarray(offset, offset + 4);
+  const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + size));
+  for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+  return { fin, opcode, payload, length: offset + 4 + size };
+}
+
+function send(socket, text) {
+  if (!socket.destroyed) socket.write(encodeFrame(OPCODES.text, Buffer.from(text)));
+}
+
+// ==================== Rooms ====================
+
+/** Relay messages carry a `type` the browsers' own messages never use */
+function announcePeers(room) {
+  const peers = rooms.get(room);
+  if (!peers) return;
+  for (const socket of peers) send(socket, JSON.stringify({ type: 'peers', count: peers.size }));
+}
+
+function leaveRoom(socket, room) {
+  const peers = rooms.get(room);
+  if (!peers || !peers.delete(socket)) return;
+  if (peers.size) announcePeers(room);
+  else rooms.delete(room);
+}
+
+function closeSocket(socket, room) {
+  if (!socket.destroyed) socket.end(encodeFrame(OPCODES.close));
+  leaveRoom(socket, room);
+}
+
+function handleUpgrade(req, socket) {
+  const key = req.headers['sec-websocket-key'];
+  const room = new URL(req.url, 'http://relay').searchParams.get('room')?.toUpperCase();
+  if (!key || String(req.headers.upgrade).toLowerCase() !== 'websocket' || !ROOM_PATTERN.test(room || '')) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+  const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n' +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+  socket.setNoDelay(true);
+
+  const peers = rooms.get(room) || new Set();
+  if (peers.size >= ROOM_SIZE) {
+    send(socket, JSON.stringify({ type: 'full' }));
+    closeSocket(socket, room);
+    return;
+  }
+  peers.add(socket);
+  rooms.set(room, peers);
+  announcePeers(room);
+
+  let pending = Buffer.alloc(0);
+  socket.on('data', (chunk) => {
+    pending = Buffer.concat([pending, chunk]);
+    let frame;
+    while ((frame = decodeFrame(pending))) {
+      // Browsers send chat-sized messages in a single frame; anything else ends the connection
+      if (frame.error || !frame.fin || frame.opcode === OPCODES.continuation) {
+        closeSocket(socket, room);
+        return;
+      }
+      pending = pending.subarray(frame.length);
+      if (frame.opcode === OPCODES.text) {
+        const text = frame.payload.toString('utf8');
+        for (const peer of rooms.get(room) || []) {
+          if (peer !== socket) send(peer, text);
+        }
+      } else if (frame.opcode === OPCODES.ping) {
+        socket.write(encodeFrame(OPCODES.pong, frame.payload));
+      } else if (frame.opcode === OPCODES.close) {
+        closeSocket(socket, room);
+        return;
+      }
+    }
+  });
+  socket.on('close', () => leaveRoom(socket, room));
+  socket.on('error', () => leaveRoom(socket, room));
+}
+
+// ==================== Server ====================
+
+function getLanAddresses() {
+  return Object.values(os.networkInterfaces())
+    .flat()
+    .filter((iface) => iface && iface.family === 'IPv4' && !iface.internal)
+    .map((iface) => iface.address);
+}
+
+const server = http.createServer(serveFile);
+server.on('upgrade', handleUpgrade);
+server.listen(PORT, () => {
+  console.log(`Relay and app on port ${PORT}. Open on each device:`);
+  for (const address of ['localhost', ...getLanAddresses()]) console.log(`  http://${address}:${PORT}`);
+});